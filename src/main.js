@@ -1,4 +1,7 @@
-const { Plugin, PluginSettingTab, Setting, Notice, Modal } = require('obsidian');
+const { Plugin, PluginSettingTab, Setting, Notice, Modal, FuzzySuggestModal, TFile, MarkdownRenderChild, getAllTags, editorLivePreviewField, editorInfoField, parseYaml, stringifyYaml, getIconIds, prepareFuzzySearch, Keymap, Component, MarkdownRenderer, Menu, HoverPopover, ItemView } = require('obsidian');
+const { ViewPlugin, Decoration, WidgetType } = require('@codemirror/view');
+const { RangeSetBuilder, StateEffect } = require('@codemirror/state');
+const { syntaxTree } = require('@codemirror/language');
 
 /**
  * Plugin constants
@@ -8,12 +11,77 @@ const CONSTANTS = {
     ICON_SIZE: 14,
     BADGE_BORDER_RADIUS: 12,
     PREVIEW_UPDATE_DEBOUNCE: 100,
+    REFRESH_DEBOUNCE: 150,
+    HOVER_DELAY: 300,
+    HOVER_SOURCE_ID: 'tag-badges',
+    TAG_MANAGER_VIEW: 'tag-badges-manager',
+    UNDO_NOTICE_DURATION: 10000,
+    BULK_ACTIONS: {
+        style: 'Apply style',
+        'clear-alias': 'Clear aliases',
+        inherit: 'Inherit from parent',
+        delete: 'Delete'
+    },
+    TAG_INDENT: 16,
+    TAG_STATUSES: {
+        all: 'All tags',
+        configured: 'Configured',
+        inherited: 'Inherited',
+        default: 'Default style'
+    },
     DEFAULT_ICON: 'hash',
+    SETTINGS_VERSION: 1,
+    TAG_SOURCES: ['frontmatter', 'inline', 'both'],
+    RULE_TYPES: ['glob', 'regex'],
+    IMPORT_STRATEGIES: ['merge', 'overwrite', 'skip'],
+    AUTO_COLOR_MODES: ['off', 'tag', 'root'],
+    CONDITION_OPERATORS: {
+        equals: 'equals',
+        'not-equals': 'does not equal',
+        contains: 'contains',
+        exists: 'is set',
+        missing: 'is not set',
+        past: 'is a past date',
+        future: 'is today or later',
+        less: 'is less than',
+        greater: 'is greater than'
+    },
+    CLICK_ACTIONS: {
+        none: 'Do nothing',
+        configure: 'Configure badge style',
+        search: 'Search for the tag',
+        'tag-pane': 'Open the tag pane',
+        'tag-note': 'Open the tag\'s note',
+        dataview: 'Run a Dataview query'
+    },
+    CLICK_GESTURES: {
+        click: 'Click',
+        modClick: 'Ctrl/Cmd-click',
+        shiftClick: 'Shift-click',
+        altClick: 'Alt-click'
+    },
+    AUTO_COLOR_PALETTES: {
+        tailwind: [
+            '#ef4444', '#f97316', '#f59e0b', '#eab308', '#84cc16', '#22c55e',
+            '#10b981', '#14b8a6', '#06b6d4', '#0ea5e9', '#3b82f6', '#6366f1',
+            '#8b5cf6', '#a855f7', '#d946ef', '#ec4899', '#f43f5e'
+        ],
+        catppuccin: [
+            '#f5e0dc', '#f2cdcd', '#f5c2e7', '#cba6f7', '#f38ba8', '#eba0ac', '#fab387',
+            '#f9e2af', '#a6e3a1', '#94e2d5', '#89dceb', '#74c7ec', '#89b4fa', '#b4befe'
+        ]
+    },
+    EXPORT_FORMAT_VERSION: 1,
+    DEFAULT_EXPORT_PATH: 'tag-badges-styles.json',
+    ICON_PICKER_COLUMNS: 8,
+    ICON_PICKER_LIMIT: 160,
+    RECENT_ICON_LIMIT: 16,
     CSS_CLASSES: {
         CONTAINER: 'tag-badges-container',
         BADGE: 'tag-badge',
         BADGE_ICON: 'tag-badge-icon',
         BADGE_TEXT: 'tag-badge-text',
+        BADGE_COUNT: 'tag-badge-count',
         NO_TAGS: 'tag-badges-no-tags',
         MODAL_ROW: 'tag-config-modal-row',
         MODAL_LABEL: 'tag-config-modal-label',
@@ -23,25 +91,231 @@ const CONSTANTS = {
         TAG_LIST_NAME: 'tag-list-item-name',
         TAG_LIST_BUTTONS: 'tag-list-item-buttons',
         CONFIG_SEPARATOR: 'tag-config-separator',
-        INHERITANCE_INFO: 'tag-inheritance-info'
-    }
+        INHERITANCE_INFO: 'tag-inheritance-info',
+        INHERIT_TOGGLE: 'tag-config-inherit-toggle',
+        RULE_LIST_ITEM: 'tag-rule-list-item',
+        RULE_DRAG_HANDLE: 'tag-rule-drag-handle',
+        RULE_DRAG_OVER: 'tag-rule-drag-over',
+        RULE_TEST_RESULT: 'tag-rule-test-result',
+        TRANSFER_LIST: 'tag-transfer-list',
+        ICON_PICKER_GRID: 'tag-icon-picker-grid',
+        ICON_PICKER_CELL: 'tag-icon-picker-cell',
+        ICON_PICKER_HEADING: 'tag-icon-picker-heading',
+        ICON_PICK_BUTTON: 'tag-icon-pick-button',
+        THEME_COLOR_INPUT: 'tag-theme-color-input',
+        CONTRAST_READOUT: 'tag-contrast-readout',
+        CONTRAST_FAIL: 'tag-contrast-fail',
+        ADD_BADGE: 'tag-badge-add',
+        BADGE_REMOVE: 'tag-badge-remove',
+        BADGE_DRAG_OVER: 'tag-badge-drag-over',
+        CONDITION_LIST: 'tag-condition-list',
+        HOVER_PREVIEW: 'tag-badge-hover',
+        HOVER_DESCRIPTION: 'tag-badge-hover-description',
+        HOVER_META: 'tag-badge-hover-meta',
+        DESCRIPTION_INPUT: 'tag-config-description',
+        TAG_MANAGER: 'tag-manager',
+        TAG_MANAGER_TOOLBAR: 'tag-manager-toolbar',
+        TAG_MANAGER_NODE: 'tag-manager-node',
+        TAG_MANAGER_TOGGLE: 'tag-manager-toggle',
+        TAG_MANAGER_COUNT: 'tag-manager-count',
+        TAG_MANAGER_STATUS: 'tag-manager-status',
+        TAG_MANAGER_STATUS_CONFIGURED: 'tag-manager-status-configured',
+        BULK_TOOLBAR: 'tag-bulk-toolbar',
+        BULK_CHECKBOX: 'tag-bulk-checkbox',
+        CONDITION_ROW: 'tag-condition-row',
+        BLOCK_ERROR: 'tag-badges-error',
+        NATIVE_BADGE: 'tag-badge-native',
+        NATIVE_ICON: 'tag-badge-native-icon'
+    },
+    PROPERTY_TAG_PILL_SELECTOR: '.metadata-property[data-property-key="tags"] .multi-select-pill',
+    BADGE_SIZES: {
+        xs: { fontSize: '0.65em', padding: '1px 6px', iconSize: 10 },
+        sm: { fontSize: '0.72em', padding: '2px 7px', iconSize: 12 },
+        md: { fontSize: '0.8em', padding: '4px 8px', iconSize: 14 },
+        lg: { fontSize: '0.95em', padding: '6px 10px', iconSize: 16 }
+    },
+    BADGE_SHAPES: {
+        pill: { label: 'Pill', borderRadius: '999px' },
+        rounded: { label: 'Rounded', borderRadius: '12px' },
+        square: { label: 'Square', borderRadius: '2px' },
+        outline: { label: 'Outline', borderRadius: '999px' }
+    },
+    FONT_WEIGHTS: {
+        400: 'Normal',
+        500: 'Medium',
+        600: 'Semibold',
+        700: 'Bold'
+    },
+    MAX_BORDER_WIDTH: 4,
+    AUTO_TEXT_COLOR: 'auto',
+    WCAG_AA_RATIO: 4.5,
+    GRADIENT_ANGLE: 135
 };
 
 /**
  * Default plugin settings configuration
  */
 const DEFAULT_SETTINGS = {
+    settingsVersion: CONSTANTS.SETTINGS_VERSION,
+    tagSource: 'frontmatter',
+    styleNativeTags: false,
+    autoColorMode: 'off',
+    autoColorPalette: 'tailwind',
+    customPalette: [],
+    clickActions: {
+        click: 'search',
+        modClick: 'configure',
+        shiftClick: 'tag-note',
+        altClick: 'none'
+    },
+    tagNotePath: 'Tags/{{tag}}',
+    dataviewQuery: 'LIST FROM #{{tag}}',
     tagConfigs: {},
+    tagRules: [],
+    recentIcons: [],
     defaultConfig: {
         icon: CONSTANTS.DEFAULT_ICON,
         textColor: '#ffffff',
         backgroundColor: '#6b7280',
-        alias: ''
+        alias: '',
+        shape: 'rounded',
+        size: 'md',
+        fontWeight: '500',
+        borderColor: '#000000',
+        borderWidth: 0,
+        gradientColor: ''
+    }
+};
+
+/**
+ * Ordered settings migrations. Each one upgrades stored settings to its version;
+ * add a new entry (and bump CONSTANTS.SETTINGS_VERSION) whenever the stored shape changes.
+ */
+const SETTINGS_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Normalize tag configuration keys',
+        migrate(settings) {
+            if (!SettingsValidator.isValidTagConfig(settings.tagConfigs)) return;
+
+            // Strip leading # and whitespace from hand-edited keys, keeping the first duplicate
+            const tagConfigs = {};
+            Object.entries(settings.tagConfigs).forEach(([tagName, config]) => {
+                const cleanTagName = tagName.trim().replace(/^#+/, '');
+                if (cleanTagName && !(cleanTagName in tagConfigs)) {
+                    tagConfigs[cleanTagName] = config;
+                }
+            });
+            settings.tagConfigs = tagConfigs;
+        }
     }
+];
+
+/**
+ * Map an object's values, keeping its keys
+ * @param {object} object - Object to map
+ * @param {Function} mapper - Function receiving each value
+ * @returns {object} New object with mapped values
+ */
+function mapValues(object, mapper) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, mapper(value)]));
+}
+
+/**
+ * Editable tag configuration properties, in the order they appear in the config modal
+ */
+const CONFIG_FIELDS = [
+    { key: 'icon', label: 'Lucide Icon Name:', type: 'icon' },
+    { key: 'textColor', label: 'Text Color:', type: 'color', allowAuto: true, description: 'Choose badge text color' },
+    { key: 'backgroundColor', label: 'Background Color:', type: 'color', description: 'Choose badge background color' },
+    { key: 'alias', label: 'Alias:', type: 'text', copyStyle: false },
+    { key: 'shape', label: 'Shape:', type: 'select', options: mapValues(CONSTANTS.BADGE_SHAPES, shape => shape.label) },
+    { key: 'size', label: 'Size:', type: 'select', options: { xs: 'Extra small', sm: 'Small', md: 'Medium', lg: 'Large' } },
+    { key: 'fontWeight', label: 'Font Weight:', type: 'select', options: CONSTANTS.FONT_WEIGHTS },
+    { key: 'borderColor', label: 'Border Color:', type: 'color', description: 'Choose badge border color' },
+    { key: 'borderWidth', label: 'Border Width:', type: 'number', min: 0, max: CONSTANTS.MAX_BORDER_WIDTH },
+    { key: 'gradientColor', label: 'Gradient To:', type: 'color', optional: true, description: 'Choose the color the background blends into' }
+];
+
+/**
+ * Options accepted in the body of a `tag-badges` code block
+ */
+const BLOCK_OPTION_SCHEMA = {
+    include: { type: 'list' },
+    exclude: { type: 'list' },
+    sort: { type: 'enum', values: ['none', 'asc', 'desc', 'count'] },
+    limit: { type: 'integer', min: 1 },
+    layout: { type: 'enum', values: ['wrap', 'inline', 'list'] },
+    size: { type: 'enum', values: Object.keys(CONSTANTS.BADGE_SIZES) },
+    file: { type: 'string' },
+    source: { type: 'enum', values: CONSTANTS.TAG_SOURCES },
+    counts: { type: 'boolean' },
+    editable: { type: 'boolean' },
+    properties: { type: 'list' }
+};
+
+/**
+ * Options accepted in the body of a `tag-badges-query` code block
+ */
+const QUERY_OPTION_SCHEMA = {
+    folder: { type: 'string' },
+    path: { type: 'string' },
+    'links-to': { type: 'string' },
+    include: { type: 'list' },
+    exclude: { type: 'list' },
+    sort: { type: 'enum', values: ['count', 'asc', 'desc'] },
+    limit: { type: 'integer', min: 1 },
+    min: { type: 'integer', min: 1 },
+    layout: { type: 'enum', values: ['wrap', 'inline', 'list'] },
+    size: { type: 'enum', values: Object.keys(CONSTANTS.BADGE_SIZES) },
+    source: { type: 'enum', values: CONSTANTS.TAG_SOURCES },
+    counts: { type: 'boolean' },
+    properties: { type: 'list' }
+};
+
+/**
+ * Default code block options, used for any option not set in the block
+ */
+const DEFAULT_BLOCK_OPTIONS = {
+    include: [],
+    exclude: [],
+    sort: 'none',
+    limit: null,
+    layout: 'wrap',
+    size: null,
+    file: null,
+    source: null,
+    counts: false,
+    editable: false,
+    properties: []
+};
+
+/**
+ * Default `tag-badges-query` options, used for any option not set in the block
+ */
+const DEFAULT_QUERY_OPTIONS = {
+    folder: null,
+    path: null,
+    'links-to': null,
+    include: [],
+    exclude: [],
+    sort: 'count',
+    limit: null,
+    min: 1,
+    layout: 'wrap',
+    size: null,
+    source: null,
+    counts: true,
+    properties: []
 };
 
 /**
- * Configuration manager to handle tag settings operations with hierarchical inheritance
+ * Configuration manager to handle tag settings operations with hierarchical inheritance.
+ *
+ * Each property resolves on its own: a tag's config is checked first, then the
+ * pattern rules matching it in priority order, then its configured ancestors
+ * from nearest to furthest, then the default config. A property that is
+ * missing (undefined or null) in a config is inherited.
  */
 class TagConfigManager {
     /**
@@ -49,6 +323,7 @@ class TagConfigManager {
      */
     constructor(plugin) {
         this.plugin = plugin;
+        this.ruleMatchers = new Map();
     }
 
     /**
@@ -59,31 +334,118 @@ class TagConfigManager {
     getTagConfig(tagName) {
         if (!tagName) return this.plugin.settings.defaultConfig;
 
-        // Check for exact match first
-        if (this.plugin.settings.tagConfigs[tagName]) {
-            return this.plugin.settings.tagConfigs[tagName];
+        return this.resolveTagConfig(tagName).config;
+    }
+
+    /**
+     * Resolve every property of a tag's configuration along its inheritance chain
+     * @param {string} tagName - The tag name to resolve
+     * @param {object} [options] - Resolution options
+     * @param {boolean} [options.skipSelf] - Ignore the tag's own config, resolving what it would inherit
+     * @returns {object} Result with the resolved config and, per property, the source that supplied it
+     */
+    resolveTagConfig(tagName, { skipSelf = false } = {}) {
+        const chain = this._getConfigChain(tagName)
+            .filter(entry => !(skipSelf && entry.source.kind === 'tag' && entry.source.key === tagName));
+
+        const fields = new Set();
+        chain.forEach(entry => Object.keys(entry.config).forEach(field => fields.add(field)));
+
+        const config = {};
+        const sources = {};
+        fields.forEach(field => {
+            const entry = chain.find(candidate => TagConfigManager.isSet(candidate.config[field]));
+            if (entry) {
+                config[field] = entry.config[field];
+                sources[field] = entry.source;
+            }
+        });
+
+        this._applyAutoColor(tagName, config, sources);
+        return { config, sources };
+    }
+
+    /**
+     * Replace a default background colour with a palette colour chosen by hashing the tag name
+     * or its root tag, when auto-colouring is on. Default text colours switch to auto contrast.
+     * @private
+     * @param {string} tagName - The tag name
+     * @param {object} config - Resolved configuration, updated in place
+     * @param {object} sources - Resolved sources, updated in place
+     */
+    _applyAutoColor(tagName, config, sources) {
+        const { autoColorMode } = this.plugin.settings;
+        if (autoColorMode === 'off' || sources.backgroundColor?.kind !== 'default') return;
+
+        const palette = this.getAutoColorPalette();
+        if (palette.length === 0) return;
+
+        const hashKey = autoColorMode === 'root' ? tagName.split('/')[0] : tagName;
+        const autoSource = { kind: 'auto', key: hashKey };
+        config.backgroundColor = palette[TagConfigManager.hashString(hashKey.toLowerCase()) % palette.length];
+        sources.backgroundColor = autoSource;
+
+        if (sources.textColor?.kind === 'default') {
+            config.textColor = CONSTANTS.AUTO_TEXT_COLOR;
+            sources.textColor = autoSource;
         }
+    }
+
+    /**
+     * Get the colours auto-colouring picks from
+     * @returns {string[]} Palette colours
+     */
+    getAutoColorPalette() {
+        const { autoColorPalette, customPalette } = this.plugin.settings;
+        return autoColorPalette === 'custom'
+            ? customPalette
+            : CONSTANTS.AUTO_COLOR_PALETTES[autoColorPalette] || [];
+    }
 
-        // Look for most specific parent tag configuration
-        const parentConfig = this._findParentConfig(tagName);
-        return parentConfig || this.plugin.settings.defaultConfig;
+    /**
+     * Hash a string to a stable unsigned 32-bit integer (FNV-1a)
+     * @param {string} text - Text to hash
+     * @returns {number} Hash value
+     */
+    static hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
     }
 
     /**
-     * Find the most specific parent configuration for a tag
+     * Get the configs a tag inherits from, most specific first, ending with the default config
      * @private
-     * @param {string} tagName - The tag name to find parent for
-     * @returns {object|null} Parent configuration or null if none found
+     * @param {string} tagName - The tag name
+     * @returns {object[]} Array of { source, config }
      */
-    _findParentConfig(tagName) {
-        const configuredTags = Object.keys(this.plugin.settings.tagConfigs);
-        
-        // Find all parent tags and sort by specificity (length descending)
-        const parentTags = configuredTags
-            .filter(configTag => tagName.startsWith(configTag + '/'))
-            .sort((a, b) => b.length - a.length);
+    _getConfigChain(tagName) {
+        const { tagConfigs, defaultConfig } = this.plugin.settings;
+        const chain = [];
+
+        if (tagConfigs[tagName]) {
+            chain.push({ source: { kind: 'tag', key: tagName }, config: tagConfigs[tagName] });
+        }
+
+        // Pattern rules come after the exact match, in priority order
+        this.getMatchingRules(tagName).forEach(rule => {
+            chain.push({ source: { kind: 'rule', key: rule.pattern, id: rule.id }, config: rule.config });
+        });
+
+        // Walk up the hierarchy, from the nearest parent to the root tag
+        const segments = tagName.split('/');
+        for (let depth = segments.length - 1; depth > 0; depth--) {
+            const parentTag = segments.slice(0, depth).join('/');
+            if (tagConfigs[parentTag]) {
+                chain.push({ source: { kind: 'tag', key: parentTag }, config: tagConfigs[parentTag] });
+            }
+        }
 
-        return parentTags.length > 0 ? this.plugin.settings.tagConfigs[parentTags[0]] : null;
+        chain.push({ source: { kind: 'default', key: null }, config: defaultConfig });
+        return chain;
     }
 
     /**
@@ -98,7 +460,9 @@ class TagConfigManager {
         }
 
         this.plugin.settings.tagConfigs[tagName] = { ...config };
+        this._forgetBulkEdit([tagName]);
         await this.plugin.saveSettings();
+        this.plugin.requestBadgeRefresh();
     }
 
     /**
@@ -112,207 +476,2193 @@ class TagConfigManager {
         }
 
         delete this.plugin.settings.tagConfigs[tagName];
+        this._forgetBulkEdit([tagName]);
         await this.plugin.saveSettings();
+        this.plugin.requestBadgeRefresh();
     }
 
     /**
-     * Get all configured tag names sorted alphabetically
-     * @returns {string[]} Sorted array of tag names
+     * Edit the configurations of several tags in one save, remembering their previous
+     * configurations so the whole edit can be undone at once
+     * @param {string[]} tagNames - Tags to edit
+     * @param {Function} edit - Receives a copy of a tag's configuration ({} if unconfigured) and
+     *     returns the new configuration, or null to delete it
+     * @param {string} label - Description of the edit, shown when undoing it
+     * @returns {Promise<number>} Number of configurations that changed
      */
-    getConfiguredTagNames() {
-        return Object.keys(this.plugin.settings.tagConfigs).sort();
+    async bulkEdit(tagNames, edit, label) {
+        const { tagConfigs } = this.plugin.settings;
+        const previous = {};
+        const written = {};
+
+        tagNames.forEach(tagName => {
+            const oldConfig = tagConfigs[tagName] || null;
+            const newConfig = edit({ ...oldConfig });
+            const keepConfig = newConfig && !this.isEmptyConfig(newConfig);
+            if (JSON.stringify(keepConfig ? newConfig : null) === JSON.stringify(oldConfig)) return;
+
+            previous[tagName] = oldConfig && structuredClone(oldConfig);
+            written[tagName] = keepConfig ? structuredClone(newConfig) : null;
+            if (keepConfig) {
+                tagConfigs[tagName] = newConfig;
+            } else {
+                delete tagConfigs[tagName];
+            }
+        });
+
+        const changedCount = Object.keys(previous).length;
+        if (changedCount > 0) {
+            this.lastBulkEdit = { label, previous, written };
+            await this._saveChanges();
+        }
+        return changedCount;
     }
 
     /**
-     * Check if a tag inherits from a parent configuration
-     * @param {string} tagName - The tag to check
-     * @returns {string|null} The parent tag name if inherited, null if exact match or default
+     * Check if the tags of the last bulk edit still have the configurations it wrote, so undoing
+     * it would not overwrite later changes
+     * @returns {boolean} True if the last bulk edit can be undone
      */
-    getInheritedParent(tagName) {
-        if (!tagName || this.plugin.settings.tagConfigs[tagName]) {
-            return null; // Exact match or invalid input
+    isBulkEditCurrent() {
+        if (!this.lastBulkEdit) return false;
+
+        const { tagConfigs } = this.plugin.settings;
+        return Object.entries(this.lastBulkEdit.written).every(([tagName, config]) =>
+            JSON.stringify(tagConfigs[tagName] ?? null) === JSON.stringify(config));
+    }
+
+    /**
+     * Restore the configurations changed by the last bulk edit
+     * @returns {Promise<string|null>} Label of the undone edit, or null if there is nothing to undo
+     * @throws {Error} When the edited tags changed since, in which case the edit is forgotten
+     */
+    async undoBulkEdit() {
+        if (!this.lastBulkEdit) return null;
+        if (!this.isBulkEditCurrent()) {
+            this.discardBulkEdit();
+            throw new Error('Tags of the bulk edit were changed since');
         }
 
-        const configuredTags = Object.keys(this.plugin.settings.tagConfigs);
-        const parentTags = configuredTags
-            .filter(configTag => tagName.startsWith(configTag + '/'))
-            .sort((a, b) => b.length - a.length);
+        const { label, previous } = this.lastBulkEdit;
+        const { tagConfigs } = this.plugin.settings;
+        Object.entries(previous).forEach(([tagName, config]) => {
+            if (config) {
+                tagConfigs[tagName] = config;
+            } else {
+                delete tagConfigs[tagName];
+            }
+        });
 
-        return parentTags.length > 0 ? parentTags[0] : null;
+        this.lastBulkEdit = null;
+        await this._saveChanges();
+        return label;
     }
 
     /**
-     * Check if configuration matches default settings
-     * @param {object} config - Configuration to check
-     * @returns {boolean} True if matches default
+     * Forget the last bulk edit, so it can no longer be undone
      */
-    isDefaultConfig(config) {
-        const defaults = this.plugin.settings.defaultConfig;
-        return config.icon === defaults.icon &&
-               config.textColor === defaults.textColor &&
-               config.backgroundColor === defaults.backgroundColor &&
-               !config.alias?.trim();
+    discardBulkEdit() {
+        this.lastBulkEdit = null;
     }
-}
 
-/**
- * Icon renderer utility for handling Lucide icons
- */
-class IconRenderer {
     /**
-     * Render a Lucide icon in the provided element
-     * @param {HTMLElement} element - The element to render the icon in
-     * @param {string} iconName - The Lucide icon name
+     * Forget the last bulk edit if it changed any of the given tags, which were edited since
+     * @private
+     * @param {string[]} tagNames - Edited tags
      */
-    static renderIcon(element, iconName) {
-        if (!iconName) {return;}
-        try {
-            const { setIcon } = require('obsidian');
-            setIcon(element, iconName || null);
-        } catch (error) {
-            console.warn('Failed to render icon:', iconName, error);
-            element.textContent = '#';
+    _forgetBulkEdit(tagNames) {
+        if (this.lastBulkEdit && tagNames.some(tagName => tagName in this.lastBulkEdit.previous)) {
+            this.discardBulkEdit();
         }
     }
-}
 
-/**
- * Badge renderer for creating and styling tag badges
- */
-class BadgeRenderer {
     /**
-     * @param {TagBadgesPlugin} plugin - The main plugin instance
-     * @param {TagConfigManager} configManager - The configuration manager
+     * Move the configurations of a tag and its child tags to a new name
+     * @param {string} oldTagName - Tag to rename
+     * @param {string} newTagName - New tag name
+     * @returns {Promise<object>} { renamed, skipped } arrays of { from, to }; targets that are
+     *     already configured are skipped
      */
-    constructor(plugin, configManager) {
-        this.plugin = plugin;
-        this.configManager = configManager;
+    async renameTagConfigs(oldTagName, newTagName) {
+        const { tagConfigs } = this.plugin.settings;
+        const renamed = [];
+        const skipped = [];
+
+        TagRenamer.getRenames(Object.keys(tagConfigs), oldTagName, newTagName).forEach(rename => {
+            if (tagConfigs[rename.to] && rename.to.toLowerCase() !== rename.from.toLowerCase()) {
+                skipped.push(rename);
+                return;
+            }
+            const config = tagConfigs[rename.from];
+            delete tagConfigs[rename.from];
+            tagConfigs[rename.to] = config;
+            renamed.push(rename);
+        });
+
+        if (renamed.length > 0) {
+            this._forgetBulkEdit(renamed.flatMap(rename => [rename.from, rename.to]));
+            await this.plugin.saveSettings();
+            this.plugin.requestBadgeRefresh();
+        }
+        return { renamed, skipped };
     }
 
     /**
-     * Create a styled badge element for a tag
-     * @param {HTMLElement} container - Container to append the badge to
+     * Get the pattern rules matching a tag, in priority order
      * @param {string} tagName - The tag name
-     * @returns {HTMLElement} The created badge element
+     * @returns {object[]} Matching rules
      */
-    createBadge(container, tagName) {
-        const config = this.configManager.getTagConfig(tagName);
-        const inheritedParent = this.configManager.getInheritedParent(tagName);
-        
-        const badge = this._createBadgeElement(container, config, tagName, inheritedParent);
-        this._addBadgeEventListeners(badge, tagName);
+    getMatchingRules(tagName) {
+        return this.plugin.settings.tagRules.filter(rule => {
+            const matcher = this._getRuleMatcher(rule);
+            return matcher ? matcher.test(tagName) : false;
+        });
+    }
 
-        return badge;
+    /**
+     * Get the highest priority pattern rule matching a tag
+     * @param {string} tagName - The tag name
+     * @returns {object|null} Matching rule or null
+     */
+    findMatchingRule(tagName) {
+        return this.getMatchingRules(tagName)[0] || null;
     }
 
     /**
-     * Create the badge DOM element with styling
+     * Get the compiled matcher for a rule, caching it by type and pattern
      * @private
-     * @param {HTMLElement} container - Container element
-     * @param {object} config - Badge configuration
-     * @param {string} tagName - Tag name
-     * @param {string|null} inheritedParent - Parent tag if inherited
-     * @returns {HTMLElement} Badge element
+     * @param {object} rule - Pattern rule
+     * @returns {RegExp|null} Matcher, or null if the pattern is invalid
      */
-    _createBadgeElement(container, config, tagName, inheritedParent) {
-        const badge = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.BADGE });
-        
-        // Apply styling
-        badge.style.backgroundColor = config.backgroundColor;
-        badge.style.color = config.textColor;
-        
-        // Set tooltip and aria label
-        const tooltipText = inheritedParent 
-            ? `Inherits style from #${inheritedParent}`
-            : `#${tagName}`;
-        badge.title = tooltipText;
-        badge.setAttribute('aria-label', tooltipText);
-        badge.setAttribute('role', 'button');
-        badge.setAttribute('tabindex', '0');
+    _getRuleMatcher(rule) {
+        const cacheKey = `${rule.type}:${rule.pattern}`;
+        if (!this.ruleMatchers.has(cacheKey)) {
+            this.ruleMatchers.set(cacheKey, TagConfigManager.compileRulePattern(rule.type, rule.pattern));
+        }
+        return this.ruleMatchers.get(cacheKey);
+    }
 
-        // Add icon
-        let iconEl;
-        if (config.icon) {
-            iconEl = badge.createSpan({ cls: CONSTANTS.CSS_CLASSES.BADGE_ICON });
-            IconRenderer.renderIcon(iconEl, config.icon);
+    /**
+     * Compile a glob or regex rule pattern. In globs `*` matches within one
+     * tag level, `**` matches across levels and `?` matches one character.
+     * @param {string} type - 'glob' or 'regex'
+     * @param {string} pattern - Rule pattern
+     * @returns {RegExp|null} Case-insensitive matcher, or null if the pattern is invalid
+     */
+    static compileRulePattern(type, pattern) {
+        if (!pattern) return null;
+
+        try {
+            if (type === 'regex') {
+                return new RegExp(pattern, 'i');
+            }
+
+            const source = pattern
+                .replace(/^#+/, '')
+                .split('**')
+                .map(part => part
+                    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                    .replace(/\*/g, '[^/]*')
+                    .replace(/\?/g, '[^/]'))
+                .join('.*');
+            return new RegExp(`^${source}$`, 'i');
+        } catch (error) {
+            return null;
         }
+    }
 
-        // Add text
-        const displayText = config.alias || tagName;
-        badge.createSpan({ 
-            text: displayText, 
-            cls: CONSTANTS.CSS_CLASSES.BADGE_TEXT 
+    /**
+     * Get a rule's style as it would look over the default config, for previews
+     * @param {object} rule - Pattern rule
+     * @returns {object} Configuration
+     */
+    getRulePreviewConfig(rule) {
+        const config = { ...this.plugin.settings.defaultConfig };
+        Object.entries(rule.config).forEach(([field, value]) => {
+            if (TagConfigManager.isSet(value)) config[field] = value;
         });
+        return config;
+    }
 
-        return badge;
+    /**
+     * Save a pattern rule, adding it at the lowest priority if new
+     * @param {object} rule - Pattern rule with id, type, pattern and config
+     * @throws {Error} When the rule is incomplete
+     */
+    async saveRule(rule) {
+        if (!rule?.id || !rule.pattern) {
+            throw new Error('Rule id and pattern are required');
+        }
+
+        const rules = this.plugin.settings.tagRules;
+        const index = rules.findIndex(existing => existing.id === rule.id);
+        const savedRule = { ...rule, config: { ...rule.config } };
+
+        if (index === -1) {
+            rules.push(savedRule);
+        } else {
+            rules[index] = savedRule;
+        }
+        await this._saveChanges();
     }
 
     /**
-     * Add event listeners to badge element
+     * Delete a pattern rule
+     * @param {string} ruleId - Rule id
+     * @throws {Error} When the rule does not exist
+     */
+    async deleteRule(ruleId) {
+        const rules = this.plugin.settings.tagRules;
+        const index = rules.findIndex(rule => rule.id === ruleId);
+        if (index === -1) {
+            throw new Error(`Rule "${ruleId}" not found`);
+        }
+
+        rules.splice(index, 1);
+        await this._saveChanges();
+    }
+
+    /**
+     * Move a pattern rule to a new priority position
+     * @param {string} ruleId - Rule id
+     * @param {number} toIndex - New position, 0 being the highest priority
+     * @throws {Error} When the rule does not exist
+     */
+    async moveRule(ruleId, toIndex) {
+        const rules = this.plugin.settings.tagRules;
+        const fromIndex = rules.findIndex(rule => rule.id === ruleId);
+        if (fromIndex === -1) {
+            throw new Error(`Rule "${ruleId}" not found`);
+        }
+
+        const [rule] = rules.splice(fromIndex, 1);
+        rules.splice(Math.max(0, Math.min(toIndex, rules.length)), 0, rule);
+        await this._saveChanges();
+    }
+
+    /**
+     * Persist settings, clear cached rule matchers and re-render badges
      * @private
-     * @param {HTMLElement} badge - Badge element
-     * @param {string} tagName - Tag name
      */
-    _addBadgeEventListeners(badge, tagName) {
-        const openModal = (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            this.plugin.showTagConfigModal(tagName);
+    async _saveChanges() {
+        this.ruleMatchers.clear();
+        await this.plugin.saveSettings();
+        this.plugin.requestBadgeRefresh();
+    }
+
+    /**
+     * Import tag configurations and pattern rules
+     * @param {object} imported - Parsed import with tagConfigs and tagRules
+     * @param {string} strategy - 'merge' combines properties, 'overwrite' replaces, 'skip' keeps existing
+     * @returns {Promise<object>} Summary with added, updated and skipped counts
+     */
+    async importConfigs(imported, strategy) {
+        const { tagConfigs, tagRules } = this.plugin.settings;
+        const summary = { added: 0, updated: 0, skipped: 0 };
+
+        const resolveConflict = (existing, incoming) => {
+            if (strategy === 'skip') return null;
+            return strategy === 'merge' ? { ...existing, ...incoming } : { ...incoming };
         };
 
-        badge.addEventListener('click', openModal);
-        badge.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-                openModal(e);
+        Object.entries(imported.tagConfigs).forEach(([tagName, config]) => {
+            if (!tagConfigs[tagName]) {
+                tagConfigs[tagName] = { ...config };
+                summary.added++;
+                return;
+            }
+
+            const resolved = resolveConflict(tagConfigs[tagName], config);
+            if (resolved) {
+                tagConfigs[tagName] = resolved;
+                summary.updated++;
+            } else {
+                summary.skipped++;
+            }
+        });
+
+        // Rules conflict when they share a type and pattern
+        imported.tagRules.forEach(rule => {
+            const existing = tagRules.find(candidate =>
+                candidate.type === rule.type && candidate.pattern === rule.pattern);
+            if (!existing) {
+                const idTaken = tagRules.some(candidate => candidate.id === rule.id);
+                tagRules.push({ ...rule, id: idTaken ? FormUtils.generateId() : rule.id });
+                summary.added++;
+                return;
+            }
+
+            const resolved = resolveConflict(existing.config, rule.config);
+            if (resolved) {
+                existing.config = resolved;
+                summary.updated++;
+            } else {
+                summary.skipped++;
             }
         });
+
+        await this._saveChanges();
+        return summary;
     }
-}
 
-/**
- * Style manager for injecting and managing CSS styles
- */
-class StyleManager {
-    static STYLE_ID = CONSTANTS.STYLE_ID;
+    /**
+     * Get all configured tag names sorted alphabetically
+     * @returns {string[]} Sorted array of tag names
+     */
+    getConfiguredTagNames() {
+        return Object.keys(this.plugin.settings.tagConfigs).sort();
+    }
 
     /**
-     * Inject plugin styles into the document
+     * Check if a tag inherits from a parent configuration or pattern rule
+     * @param {string} tagName - The tag to check
+     * @returns {string|null} The parent tag name or rule pattern if inherited, null if exact match or default
      */
-    static injectStyles() {
-        if (document.getElementById(this.STYLE_ID)) return;
+    getInheritedParent(tagName) {
+        return this.getInheritanceSource(tagName)?.key ?? null;
+    }
 
-        const style = document.createElement('style');
-        style.id = this.STYLE_ID;
-        style.textContent = this._getStyleContent();
-        document.head.appendChild(style);
+    /**
+     * Get the nearest rule or parent tag an unconfigured tag inherits its style from
+     * @param {string} tagName - The tag to check
+     * @returns {object|null} Source descriptor, null if exact match, default or invalid input
+     */
+    getInheritanceSource(tagName) {
+        if (!tagName || this.plugin.settings.tagConfigs[tagName]) {
+            return null; // Exact match or invalid input
+        }
+
+        const entry = this._getConfigChain(tagName).find(candidate => candidate.source.kind !== 'default');
+        return entry ? entry.source : null;
     }
 
     /**
-     * Remove plugin styles from the document
+     * Describe a configuration source for display
+     * @param {object} source - Source descriptor from resolveTagConfig
+     * @returns {string} Human readable source
      */
-    static removeStyles() {
-        const styleEl = document.getElementById(this.STYLE_ID);
-        if (styleEl) styleEl.remove();
+    static describeSource(source) {
+        if (!source || source.kind === 'default') return 'default style';
+        if (source.kind === 'auto') return 'automatic color';
+        if (source.kind === 'rule') return `rule "${source.key}"`;
+        if (source.kind === 'parent') return 'parent tag or default style';
+        return TagConfigManager.formatKey(source.key);
     }
 
     /**
-     * Get the CSS content for the plugin
-     * @private
-     * @returns {string} CSS content
+     * Format a configuration key for display: tags get a leading #, `property:value` keys do not
+     * @param {string} key - Tag name or property key
+     * @returns {string} Display text
      */
-    static _getStyleContent() {
-        return `
-            .${CONSTANTS.CSS_CLASSES.CONTAINER} {
-                display: flex;
-                flex-wrap: wrap;
-                gap: 6px;
-                margin: 8px 0;
-            }
-            
-            .${CONSTANTS.CSS_CLASSES.BADGE} {
-                display: inline-flex;
-                align-items: center;
-                gap: 4px;
+    static formatKey(key) {
+        return FrontmatterParser.isPropertyKey(key) ? key : `#${key}`;
+    }
+
+    /**
+     * Check if a configuration property is set, rather than inherited
+     * @param {*} value - Property value
+     * @returns {boolean} True if set
+     */
+    static isSet(value) {
+        return value !== undefined && value !== null;
+    }
+
+    /**
+     * Get the note properties that the conditional styles of any tag configuration, rule or
+     * the default style depend on
+     * @returns {string[]} Property names, empty if no conditions are configured
+     */
+    getConditionProperties() {
+        const { tagConfigs, tagRules, defaultConfig } = this.plugin.settings;
+        const properties = new Set();
+        [...Object.values(tagConfigs), ...tagRules.map(rule => rule.config), defaultConfig]
+            .forEach(config => (config.conditions || []).forEach(condition => properties.add(condition.property)));
+        return Array.from(properties);
+    }
+
+    /**
+     * Check if a configuration sets no properties, inheriting everything
+     * @param {object} config - Configuration to check
+     * @returns {boolean} True if every property is inherited
+     */
+    isEmptyConfig(config) {
+        return !Object.values(config).some(value => TagConfigManager.isSet(value));
+    }
+}
+
+/**
+ * Icon renderer utility for handling Lucide icons
+ */
+class IconRenderer {
+    /**
+     * Render a Lucide icon in the provided element
+     * @param {HTMLElement} element - The element to render the icon in
+     * @param {string} iconName - The Lucide icon name
+     */
+    static renderIcon(element, iconName) {
+        if (!iconName) {return;}
+        try {
+            const { setIcon } = require('obsidian');
+            setIcon(element, iconName || null);
+        } catch (error) {
+            console.warn('Failed to render icon:', iconName, error);
+            element.textContent = '#';
+        }
+    }
+
+    /**
+     * Get the names of all available icons, without the `lucide-` prefix
+     * @returns {string[]} Sorted icon names
+     */
+    static getIconNames() {
+        if (!this.iconNames) {
+            const names = getIconIds().map(iconId => iconId.replace(/^lucide-/, ''));
+            this.iconNames = Array.from(new Set(names)).sort();
+        }
+        return this.iconNames;
+    }
+
+    /**
+     * Check if an icon name can be rendered; empty names (no icon) count as known
+     * @param {string} iconName - Icon name, with or without the `lucide-` prefix
+     * @returns {boolean} True if known
+     */
+    static isKnownIcon(iconName) {
+        if (!iconName) return true;
+        return this.getIconNames().includes(iconName.replace(/^lucide-/, ''));
+    }
+
+    /**
+     * Show a notice if an icon name is not known
+     * @param {string} iconName - Icon name to check
+     * @returns {boolean} True if the icon is known
+     */
+    static warnIfUnknown(iconName) {
+        const isKnown = this.isKnownIcon(iconName);
+        if (!isKnown) {
+            new Notice(`Unknown icon "${iconName}"; badges using it will show no icon`);
+        }
+        return isKnown;
+    }
+}
+
+/**
+ * Resolves badge colours, which are hex values, Obsidian CSS variables such as `--color-red`,
+ * or `{ light, dark }` pairs picked by the current theme
+ */
+class ThemeColor {
+    /**
+     * Check if a value is a hex colour or CSS variable name
+     * @param {*} value - Value to check
+     * @returns {boolean} True if valid
+     */
+    static isPlainColor(value) {
+        return SettingsValidator.isHexColor(value) || this.isVariable(value);
+    }
+
+    /**
+     * Check if a value is a CSS custom property name, e.g. `--color-red`
+     * @param {*} value - Value to check
+     * @returns {boolean} True if valid
+     */
+    static isVariable(value) {
+        return typeof value === 'string' && /^--[\w-]+$/.test(value);
+    }
+
+    /**
+     * Check if a value is a light and dark colour pair
+     * @param {*} value - Value to check
+     * @returns {boolean} True if valid
+     */
+    static isThemePair(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+            this.isPlainColor(value.light) && this.isPlainColor(value.dark);
+    }
+
+    /**
+     * Check if a value is any supported colour
+     * @param {*} value - Value to check
+     * @returns {boolean} True if valid
+     */
+    static isValid(value) {
+        return this.isPlainColor(value) || this.isThemePair(value);
+    }
+
+    /**
+     * Check if Obsidian is using its dark theme
+     * @returns {boolean} True for the dark theme
+     */
+    static isDarkTheme() {
+        return document.body.hasClass('theme-dark');
+    }
+
+    /**
+     * Turn a stored colour into a CSS colour for a theme
+     * @param {string|object} value - Stored colour
+     * @param {boolean} [isDark] - Resolve for the dark theme; defaults to the current theme
+     * @returns {string} CSS colour, or an empty string for no colour
+     */
+    static resolve(value, isDark = this.isDarkTheme()) {
+        if (!value) return '';
+
+        const color = this.isThemePair(value)
+            ? value[isDark ? 'dark' : 'light']
+            : value;
+        return this.isVariable(color) ? `var(${color})` : color;
+    }
+
+    /**
+     * Normalize a typed CSS variable, accepting `var(--name)` and `--name`
+     * @param {string} value - Typed value
+     * @returns {string} Variable name, e.g. `--color-red`
+     */
+    static normalizeVariable(value) {
+        const trimmed = value.trim();
+        const match = trimmed.match(/^var\(\s*(--[\w-]+)\s*\)$/);
+        return match ? match[1] : trimmed;
+    }
+}
+
+/**
+ * WCAG contrast calculations for badge colours
+ */
+class ColorContrast {
+    /**
+     * Parse a CSS colour into RGB channels; non-hex colours such as CSS variables
+     * are resolved by the browser against the current theme
+     * @param {string} cssColor - CSS colour
+     * @returns {number[]|null} [r, g, b] in 0-255, or null if the colour cannot be resolved
+     */
+    static toRgb(cssColor) {
+        if (!cssColor) return null;
+
+        const hexMatch = cssColor.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (hexMatch) {
+            const hex = hexMatch[1].length === 3
+                ? hexMatch[1].split('').map(digit => digit + digit).join('')
+                : hexMatch[1];
+            return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+        }
+
+        const probe = document.body.createDiv();
+        probe.style.color = cssColor;
+        const computed = getComputedStyle(probe).color;
+        probe.remove();
+
+        const rgbMatch = computed.match(/rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)/);
+        return rgbMatch ? rgbMatch.slice(1, 4).map(Number) : null;
+    }
+
+    /**
+     * Relative luminance as defined by WCAG 2
+     * @param {number[]} rgb - [r, g, b] in 0-255
+     * @returns {number} Luminance from 0 to 1
+     */
+    static luminance(rgb) {
+        const [r, g, b] = rgb.map(channel => {
+            const value = channel / 255;
+            return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    /**
+     * Contrast ratio between two colours
+     * @param {string} foreground - CSS colour
+     * @param {string} background - CSS colour
+     * @returns {number|null} Ratio from 1 to 21, or null if either colour cannot be resolved
+     */
+    static ratio(foreground, background) {
+        const foregroundRgb = this.toRgb(foreground);
+        const backgroundRgb = this.toRgb(background);
+        if (!foregroundRgb || !backgroundRgb) return null;
+
+        const [lighter, darker] = [this.luminance(foregroundRgb), this.luminance(backgroundRgb)]
+            .sort((a, b) => b - a);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+
+    /**
+     * Pick black or white text, whichever contrasts more with a background
+     * @param {string} background - CSS colour
+     * @returns {string} '#000000' or '#ffffff'
+     */
+    static autoTextColor(background) {
+        const rgb = this.toRgb(background);
+        if (!rgb) return '#ffffff';
+        // Black and white contrast equally at a luminance of about 0.179
+        return this.luminance(rgb) > 0.179 ? '#000000' : '#ffffff';
+    }
+
+    /**
+     * Resolve the text and background colours a badge is drawn with
+     * @param {object} config - Badge configuration
+     * @param {boolean} [isDark] - Resolve for the dark theme; defaults to the current theme
+     * @returns {object} { text, backgrounds } where backgrounds holds each solid or gradient colour
+     */
+    static getBadgeColors(config, isDark = ThemeColor.isDarkTheme()) {
+        const backgroundColor = ThemeColor.resolve(config.backgroundColor, isDark);
+
+        // Outline badges draw background-coloured text on the note itself
+        if (config.shape === 'outline') {
+            return { text: backgroundColor, backgrounds: ['var(--background-primary)'] };
+        }
+
+        const text = config.textColor === CONSTANTS.AUTO_TEXT_COLOR
+            ? this.autoTextColor(backgroundColor)
+            : ThemeColor.resolve(config.textColor, isDark);
+        const backgrounds = [backgroundColor];
+        if (config.gradientColor) {
+            backgrounds.push(ThemeColor.resolve(config.gradientColor, isDark));
+        }
+        return { text, backgrounds };
+    }
+
+    /**
+     * Lowest contrast ratio of a badge's text against its background, checking both themes
+     * when the configuration has light and dark colours
+     * @param {object} config - Badge configuration
+     * @returns {object|null} { ratio, passesAA }, or null if the colours cannot be resolved
+     */
+    static checkConfig(config) {
+        const hasThemePairs = ['textColor', 'backgroundColor', 'gradientColor']
+            .some(key => ThemeColor.isThemePair(config[key]));
+        const themes = hasThemePairs ? [false, true] : [ThemeColor.isDarkTheme()];
+
+        const ratios = [];
+        themes.forEach(isDark => {
+            const { text, backgrounds } = this.getBadgeColors(config, isDark);
+            backgrounds.forEach(background => ratios.push(this.ratio(text, background)));
+        });
+        if (ratios.includes(null)) return null;
+
+        const ratio = Math.min(...ratios);
+        return { ratio, passesAA: ratio >= CONSTANTS.WCAG_AA_RATIO };
+    }
+
+    /**
+     * Format a contrast check for display
+     * @param {object} result - Result of checkConfig
+     * @returns {string} e.g. "Contrast 3.2:1 (fails AA)"
+     */
+    static describe(result) {
+        return `Contrast ${result.ratio.toFixed(1)}:1 (${result.passesAA ? 'passes' : 'fails'} AA)`;
+    }
+}
+
+/**
+ * Evaluates conditional styles against a note's frontmatter. A condition is
+ * `{ property, operator, value, style }`; the style of every matching condition is
+ * layered over the badge's configuration, later conditions winning.
+ */
+class ConditionEvaluator {
+    /**
+     * Operators that compare against the condition's value
+     */
+    static VALUE_OPERATORS = ['equals', 'not-equals', 'contains', 'less', 'greater'];
+
+    /**
+     * Apply the conditions of a configuration for a note
+     * @param {object} config - Resolved badge configuration
+     * @param {object|null} frontmatter - The note's frontmatter
+     * @returns {object} Configuration with matching condition styles applied
+     */
+    static apply(config, frontmatter) {
+        if (!Array.isArray(config.conditions) || config.conditions.length === 0) return config;
+
+        return config.conditions
+            .filter(condition => this.matches(condition, frontmatter || {}))
+            .reduce((styled, condition) => ({ ...styled, ...condition.style }), config);
+    }
+
+    /**
+     * Check if a condition holds for a note's frontmatter; list properties match if any item does
+     * @param {object} condition - Condition
+     * @param {object} frontmatter - The note's frontmatter
+     * @returns {boolean} True if the condition holds
+     */
+    static matches(condition, frontmatter) {
+        const rawValue = frontmatter[condition.property];
+        const isSet = TagConfigManager.isSet(rawValue) && rawValue !== '';
+        const values = Array.isArray(rawValue) ? rawValue.map(String) : [String(rawValue ?? '')];
+        const expected = String(condition.value ?? '').trim();
+
+        switch (condition.operator) {
+            case 'exists':
+                return isSet;
+            case 'missing':
+                return !isSet;
+            case 'equals':
+                return isSet && values.some(value => value.toLowerCase() === expected.toLowerCase());
+            case 'not-equals':
+                return !values.some(value => value.toLowerCase() === expected.toLowerCase());
+            case 'contains':
+                return isSet && values.some(value => value.toLowerCase().includes(expected.toLowerCase()));
+            case 'less':
+            case 'greater': {
+                const number = Number(values[0]);
+                const limit = Number(expected);
+                if (!isSet || Number.isNaN(number) || Number.isNaN(limit)) return false;
+                return condition.operator === 'less' ? number < limit : number > limit;
+            }
+            case 'past':
+            case 'future': {
+                const time = Date.parse(values[0]);
+                if (!isSet || Number.isNaN(time)) return false;
+                const startOfToday = new Date().setHours(0, 0, 0, 0);
+                // Date-only values parse as UTC midnight; compare calendar days in local time
+                const date = /^\d{4}-\d{2}-\d{2}$/.test(values[0].trim())
+                    ? new Date(`${values[0].trim()}T00:00:00`).getTime()
+                    : time;
+                return condition.operator === 'past' ? date < startOfToday : date >= startOfToday;
+            }
+            default:
+                return false;
+        }
+    }
+}
+
+/**
+ * Badge renderer for creating and styling tag badges
+ */
+class BadgeRenderer {
+    /**
+     * @param {TagBadgesPlugin} plugin - The main plugin instance
+     * @param {TagConfigManager} configManager - The configuration manager
+     */
+    constructor(plugin, configManager) {
+        this.plugin = plugin;
+        this.configManager = configManager;
+    }
+
+    /**
+     * Create a styled badge element for a tag
+     * @param {HTMLElement} container - Container to append the badge to
+     * @param {string} tagName - The tag name
+     * @param {object} [badgeOptions] - Extra badge options
+     * @param {number|null} [badgeOptions.count] - Occurrence count to show, if any
+     * @param {string} [badgeOptions.sourcePath] - Path of the note the tag was read from
+     * @returns {HTMLElement} The created badge element
+     */
+    createBadge(container, tagName, badgeOptions = {}) {
+        const config = this.applyConditions(this.configManager.getTagConfig(tagName), badgeOptions.sourcePath);
+
+        const badge = this._createBadgeElement(container, config, tagName);
+        if (badgeOptions.count) {
+            badge.createSpan({
+                text: String(badgeOptions.count),
+                cls: CONSTANTS.CSS_CLASSES.BADGE_COUNT
+            });
+        }
+        this._addBadgeEventListeners(badge, tagName);
+        this.plugin.tagHover.attach(badge, tagName, badgeOptions.sourcePath);
+        badge.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.plugin.tagActions.showMenu(e, tagName, badgeOptions.sourcePath);
+        });
+
+        return badge;
+    }
+
+    /**
+     * Apply a configuration's conditional styles for the note a badge is rendered for
+     * @param {object} config - Resolved badge configuration
+     * @param {string} [sourcePath] - Path of the note the tag was read from
+     * @returns {object} Configuration to render
+     */
+    applyConditions(config, sourcePath) {
+        if (!config.conditions?.length || !sourcePath) return config;
+
+        const file = this.plugin.app.vault.getAbstractFileByPath(sourcePath);
+        const frontmatter = file instanceof TFile
+            ? this.plugin.app.metadataCache.getFileCache(file)?.frontmatter
+            : null;
+        return ConditionEvaluator.apply(config, frontmatter);
+    }
+
+    /**
+     * Create the badge DOM element with styling
+     * @private
+     * @param {HTMLElement} container - Container element
+     * @param {object} config - Badge configuration
+     * @param {string} tagName - Tag name
+     * @returns {HTMLElement} Badge element
+     */
+    _createBadgeElement(container, config, tagName) {
+        const badge = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.BADGE });
+        
+        this.applyStyle(badge, config);
+        
+        // The hover preview replaces a tooltip; the aria label keeps the full tag for screen readers
+        badge.setAttribute('aria-label', TagConfigManager.formatKey(tagName));
+        badge.setAttribute('role', 'button');
+        badge.setAttribute('tabindex', '0');
+
+        this.renderContent(badge, config, tagName);
+
+        return badge;
+    }
+
+    /**
+     * Apply a configuration's colours, shape, size, border and font weight to an element
+     * @param {HTMLElement} el - Element to style
+     * @param {object} config - Badge configuration
+     */
+    applyStyle(el, config) {
+        this.clearStyle(el);
+
+        const shape = config.shape in CONSTANTS.BADGE_SHAPES ? config.shape : 'rounded';
+        const size = config.size in CONSTANTS.BADGE_SIZES ? config.size : 'md';
+        el.addClass(`tag-badge-shape-${shape}`, `tag-badge-size-${size}`);
+
+        const backgroundColor = ThemeColor.resolve(config.backgroundColor);
+        const textColor = config.textColor === CONSTANTS.AUTO_TEXT_COLOR ? '' : ThemeColor.resolve(config.textColor);
+        const borderColor = ThemeColor.resolve(config.borderColor);
+        const gradientColor = ThemeColor.resolve(config.gradientColor);
+
+        const borderWidth = Number(config.borderWidth) || 0;
+        if (shape === 'outline') {
+            // Outline badges draw the background colour as border and text on a transparent fill
+            el.style.backgroundColor = 'transparent';
+            el.style.color = backgroundColor;
+            el.style.border = `${Math.max(borderWidth, 1)}px solid ${borderWidth > 0 ? borderColor : backgroundColor}`;
+        } else {
+            el.style.backgroundColor = backgroundColor;
+            el.style.color = config.textColor === CONSTANTS.AUTO_TEXT_COLOR
+                ? ColorContrast.autoTextColor(backgroundColor)
+                : textColor;
+            if (gradientColor) {
+                el.style.backgroundImage = `linear-gradient(${CONSTANTS.GRADIENT_ANGLE}deg, ` +
+                    `${backgroundColor}, ${gradientColor})`;
+            }
+            if (borderWidth > 0) {
+                el.style.border = `${borderWidth}px solid ${borderColor}`;
+            }
+        }
+
+        if (config.fontWeight) {
+            el.style.fontWeight = String(config.fontWeight);
+        }
+        if (TagConfigManager.isSet(config.opacity)) {
+            el.style.opacity = String(config.opacity);
+        }
+    }
+
+    /**
+     * Remove styling added by applyStyle
+     * @param {HTMLElement} el - Element to clear
+     */
+    clearStyle(el) {
+        Object.keys(CONSTANTS.BADGE_SHAPES).forEach(shape => el.removeClass(`tag-badge-shape-${shape}`));
+        Object.keys(CONSTANTS.BADGE_SIZES).forEach(size => el.removeClass(`tag-badge-size-${size}`));
+        ['backgroundColor', 'backgroundImage', 'color', 'border', 'fontWeight', 'opacity'].forEach(property => {
+            el.style[property] = '';
+        });
+    }
+
+    /**
+     * Render a badge's icon and display text into an element
+     * @param {HTMLElement} el - Element to render into
+     * @param {object} config - Badge configuration
+     * @param {string} tagName - Tag name, shown when the config has no alias
+     */
+    renderContent(el, config, tagName) {
+        if (config.icon) {
+            const iconEl = el.createSpan({ cls: CONSTANTS.CSS_CLASSES.BADGE_ICON });
+            IconRenderer.renderIcon(iconEl, config.icon);
+        }
+
+        el.createSpan({ 
+            text: config.alias || tagName, 
+            cls: CONSTANTS.CSS_CLASSES.BADGE_TEXT 
+        });
+    }
+
+    /**
+     * Add event listeners to badge element
+     * @private
+     * @param {HTMLElement} badge - Badge element
+     * @param {string} tagName - Tag name
+     */
+    _addBadgeEventListeners(badge, tagName) {
+        const runAction = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.plugin.tagActions.run(TagActionRunner.getGesture(e), tagName);
+        };
+
+        badge.addEventListener('click', runAction);
+        badge.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                runAction(e);
+            }
+        });
+    }
+}
+
+/**
+ * Shows a popover with a tag's description, usage and style source when hovering a badge,
+ * through Obsidian's hover popovers so it follows the Page preview settings
+ */
+class TagHoverPreview {
+    /**
+     * @param {TagBadgesPlugin} plugin - Plugin instance
+     */
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.app = plugin.app;
+        // Note counts per tag source and property name, rebuilt after metadata changes
+        this.noteCounts = new Map();
+    }
+
+    /**
+     * Forget the cached note counts
+     */
+    invalidateCounts() {
+        this.noteCounts.clear();
+    }
+
+    /**
+     * Show the preview when the mouse rests on a badge
+     * @param {HTMLElement} badge - Badge element
+     * @param {string} tagName - Tag name or property key
+     * @param {string} [sourcePath] - Path of the note the badge is shown in
+     */
+    attach(badge, tagName, sourcePath) {
+        // Obsidian sets and clears hoverPopover on the parent as popovers open and close
+        const hoverParent = { hoverPopover: null };
+
+        let showTimer = null;
+
+        badge.addEventListener('mouseenter', (e) => {
+            if (hoverParent.hoverPopover || (this._requiresModifier() && !Keymap.isModifier(e, 'Mod'))) {
+                return;
+            }
+
+            // Content is built only once the pointer has rested, not for every badge passed over
+            showTimer = window.setTimeout(() => {
+                showTimer = null;
+                // A live update may have replaced the badge while the pointer rested on it
+                if (!badge.isConnected) return;
+                const popover = new HoverPopover(hoverParent, badge, 0);
+                this._renderContent(popover, tagName, sourcePath);
+            }, CONSTANTS.HOVER_DELAY);
+        });
+        badge.addEventListener('mouseleave', () => {
+            window.clearTimeout(showTimer);
+            showTimer = null;
+        });
+    }
+
+    /**
+     * Check if the Page preview settings require Ctrl/Cmd for tag badge previews
+     * @private
+     * @returns {boolean} True if a modifier is required
+     */
+    _requiresModifier() {
+        const pagePreview = this.app.internalPlugins.getPluginById('page-preview');
+        return pagePreview?.instance?.overrides?.[CONSTANTS.HOVER_SOURCE_ID] ?? false;
+    }
+
+    /**
+     * Fill a popover with the tag path, its rendered description, note count and style source
+     * @private
+     * @param {HoverPopover} popover - Popover to fill
+     * @param {string} tagName - Tag name or property key
+     * @param {string} [sourcePath] - Path used to resolve links in the description
+     */
+    _renderContent(popover, tagName, sourcePath) {
+        const contentEl = popover.hoverEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.HOVER_PREVIEW });
+        contentEl.createEl('strong', { text: TagConfigManager.formatKey(tagName) });
+
+        const description = this.plugin.settings.tagConfigs[tagName]?.description;
+        const descriptionEl = contentEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.HOVER_DESCRIPTION });
+        if (description) {
+            MarkdownRenderer.render(this.app, description, descriptionEl, sourcePath || '', popover)
+                .catch(error => console.error('Error rendering tag description:', error));
+        } else {
+            descriptionEl.createEl('em', { text: 'No description' });
+        }
+
+        const count = this._getNoteCount(tagName);
+        const metaEl = contentEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.HOVER_META });
+        metaEl.createDiv({ text: `Used in ${count} note${count === 1 ? '' : 's'}` });
+        metaEl.createDiv({ text: `Style: ${this._describeStyleSource(tagName)}` });
+    }
+
+    /**
+     * Get the number of notes using a tag or `property:value` key, counting the vault once
+     * per tag source and property until the metadata changes
+     * @private
+     * @param {string} tagName - Tag name or property key
+     * @returns {number} Number of notes
+     */
+    _getNoteCount(tagName) {
+        const source = this.plugin.settings.tagSource;
+        const propertyName = FrontmatterParser.isPropertyKey(tagName) ? tagName.split(':')[0] : '';
+        const cacheKey = `${source}|${propertyName}`;
+
+        if (!this.noteCounts.has(cacheKey)) {
+            const counts = TagQuery.countTags(
+                this.app.vault.getMarkdownFiles(), this.app.metadataCache, source,
+                propertyName ? [propertyName] : []
+            );
+            const lowerCaseCounts = new Map();
+            counts.forEach((count, tag) => lowerCaseCounts.set(tag.toLowerCase(), count));
+            this.noteCounts.set(cacheKey, lowerCaseCounts);
+        }
+        return this.noteCounts.get(cacheKey).get(tagName.toLowerCase()) || 0;
+    }
+
+    /**
+     * Describe where a tag's style comes from
+     * @private
+     * @param {string} tagName - Tag name or property key
+     * @returns {string} Style source description
+     */
+    _describeStyleSource(tagName) {
+        if (this.plugin.settings.tagConfigs[tagName]) return 'own configuration';
+
+        const source = this.plugin.configManager.getInheritanceSource(tagName);
+        return source
+            ? `inherited from ${TagConfigManager.describeSource(source)}`
+            : TagConfigManager.describeSource(null);
+    }
+}
+
+/**
+ * Runs the action configured for a click gesture on a badge
+ */
+class TagActionRunner {
+    /**
+     * @param {TagBadgesPlugin} plugin - Plugin instance
+     */
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.app = plugin.app;
+    }
+
+    /**
+     * Get the click gesture of a mouse or keyboard event; Ctrl/Cmd wins over Alt, then Shift
+     * @param {MouseEvent|KeyboardEvent} e - Event
+     * @returns {string} Key of CONSTANTS.CLICK_GESTURES
+     */
+    static getGesture(e) {
+        if (Keymap.isModifier(e, 'Mod')) return 'modClick';
+        if (e.altKey) return 'altClick';
+        if (e.shiftKey) return 'shiftClick';
+        return 'click';
+    }
+
+    /**
+     * Run the action mapped to a gesture
+     * @param {string} gesture - Key of CONSTANTS.CLICK_GESTURES
+     * @param {string} tagName - Tag name
+     */
+    async run(gesture, tagName) {
+        const action = this.plugin.settings.clickActions[gesture] || 'none';
+        try {
+            await this.runAction(action, tagName);
+        } catch (error) {
+            console.error(`Error running badge action "${action}":`, error);
+            new Notice('Failed to run badge action');
+        }
+    }
+
+    /**
+     * Run an action for a tag
+     * @param {string} action - Key of CONSTANTS.CLICK_ACTIONS
+     * @param {string} tagName - Tag name
+     */
+    async runAction(action, tagName) {
+        switch (action) {
+            case 'configure':
+                this.plugin.showTagConfigModal(tagName);
+                break;
+            case 'search':
+                this.openSearch(tagName);
+                break;
+            case 'tag-pane':
+                await this.openTagPane();
+                break;
+            case 'tag-note':
+                await this.openTagNote(tagName);
+                break;
+            case 'dataview':
+                this.runDataviewQuery(tagName);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Open global search for a tag
+     * @param {string} tagName - Tag name
+     */
+    openSearch(tagName) {
+        const search = this.app.internalPlugins.getPluginById('global-search');
+        if (!search?.enabled) {
+            new Notice('Enable the Search core plugin to search for tags');
+            return;
+        }
+        // Property badges search Obsidian's [property:value] syntax
+        search.instance.openGlobalSearch(FrontmatterParser.isPropertyKey(tagName) ? `[${tagName}]` : `tag:#${tagName}`);
+    }
+
+    /**
+     * Reveal the tag pane, opening it in the right sidebar if needed
+     */
+    async openTagPane() {
+        if (!this.app.internalPlugins.getPluginById('tag-pane')?.enabled) {
+            new Notice('Enable the Tags view core plugin to open the tag pane');
+            return;
+        }
+
+        let leaf = this.app.workspace.getLeavesOfType('tag')[0];
+        if (!leaf) {
+            leaf = this.app.workspace.getRightLeaf(false);
+            await leaf.setViewState({ type: 'tag', active: true });
+        }
+        this.app.workspace.revealLeaf(leaf);
+    }
+
+    /**
+     * Open the note for a tag, as set by the tag note path setting; missing notes are created
+     * @param {string} tagName - Tag name
+     */
+    async openTagNote(tagName) {
+        const linkText = TagActionRunner.fillTemplate(this.plugin.settings.tagNotePath, tagName);
+        if (!linkText) {
+            new Notice('Set a tag note path in the Tag Badges settings');
+            return;
+        }
+        await this.app.workspace.openLinkText(linkText, '', false);
+    }
+
+    /**
+     * Show the results of the Dataview query setting for a tag
+     * @param {string} tagName - Tag name
+     */
+    runDataviewQuery(tagName) {
+        if (!this.app.plugins.enabledPlugins.has('dataview')) {
+            new Notice('Install and enable the Dataview plugin to run tag queries');
+            return;
+        }
+        const query = TagActionRunner.fillTemplate(this.plugin.settings.dataviewQuery, tagName);
+        new DataviewResultModal(this.app, tagName, query).open();
+    }
+
+    /**
+     * Show the badge context menu
+     * @param {MouseEvent} e - Context menu event
+     * @param {string} tagName - Tag name
+     * @param {string} [sourcePath] - Path of the note the badge was rendered for
+     */
+    showMenu(e, tagName, sourcePath) {
+        const menu = new Menu();
+        const sourceFile = sourcePath ? this.app.vault.getAbstractFileByPath(sourcePath) : null;
+        const isConfigured = Boolean(this.plugin.settings.tagConfigs[tagName]);
+
+        menu.addItem(item => item
+            .setTitle('Configure style')
+            .setIcon('palette')
+            .onClick(() => this.plugin.showTagConfigModal(tagName)));
+        menu.addItem(item => item
+            .setTitle('Copy tag')
+            .setIcon('copy')
+            .onClick(() => this.copyTag(tagName)));
+        menu.addItem(item => item
+            .setTitle('Search notes with tag')
+            .setIcon('search')
+            .onClick(() => this.openSearch(tagName)));
+
+        menu.addSeparator();
+        const isProperty = FrontmatterParser.isPropertyKey(tagName);
+        if (sourceFile instanceof TFile && !isProperty) {
+            menu.addItem(item => item
+                .setTitle('Remove tag from this note')
+                .setIcon('x')
+                .onClick(() => this.removeFromNote(tagName, sourceFile)));
+        }
+        if (!isProperty) {
+            menu.addItem(item => item
+                .setTitle('Rename tag vault-wide')
+                .setIcon('pencil')
+                .onClick(() => this.showRenameModal(tagName)));
+        }
+        menu.addItem(item => item
+            .setTitle('Reset to inherited style')
+            .setIcon('rotate-ccw')
+            .setDisabled(!isConfigured)
+            .onClick(() => this.resetStyle(tagName)));
+
+        menu.showAtMouseEvent(e);
+    }
+
+    /**
+     * Copy a tag to the clipboard
+     * @param {string} tagName - Tag name
+     */
+    async copyTag(tagName) {
+        try {
+            const text = FrontmatterParser.isPropertyKey(tagName) ? tagName : `#${tagName}`;
+            await navigator.clipboard.writeText(text);
+            new Notice(`Copied ${text}`);
+        } catch (error) {
+            console.error('Error copying tag:', error);
+            new Notice('Failed to copy tag');
+        }
+    }
+
+    /**
+     * Remove a tag from a note's frontmatter
+     * @param {string} tagName - Tag name
+     * @param {TFile} file - Note to edit
+     */
+    async removeFromNote(tagName, file) {
+        try {
+            const removed = await FrontmatterEditor.removeTag(this.app, file, tagName);
+            new Notice(removed
+                ? `Removed #${tagName} from ${file.basename}`
+                : `#${tagName} is not in the frontmatter of ${file.basename}`);
+        } catch (error) {
+            console.error('Error removing tag from note:', error);
+            new Notice('Failed to remove tag from note');
+        }
+    }
+
+    /**
+     * Ask for a new tag name, then preview and run the rename across the vault
+     * @param {string} tagName - Tag name
+     * @param {Function} [onRenamed] - Callback run after the rename
+     */
+    showRenameModal(tagName, onRenamed) {
+        new AddTagModal(this.app, (newTagName) => {
+            if (newTagName === tagName) return;
+            new TagRenameModal(this.app, this.plugin, tagName, newTagName, onRenamed).open();
+        }, { title: `Rename #${tagName}`, buttonText: 'Preview', value: tagName }).open();
+    }
+
+    /**
+     * Remove a tag's own configuration so it inherits its whole style
+     * @param {string} tagName - Tag name
+     */
+    async resetStyle(tagName) {
+        try {
+            await this.plugin.configManager.deleteTagConfig(tagName);
+            new Notice(`Reset #${tagName} to its inherited style`);
+        } catch (error) {
+            console.error('Error resetting tag config:', error);
+            new Notice('Failed to reset configuration');
+        }
+    }
+
+    /**
+     * Replace `{{tag}}` in a template with a tag name
+     * @param {string} template - Template text
+     * @param {string} tagName - Tag name
+     * @returns {string} Filled template
+     */
+    static fillTemplate(template, tagName) {
+        return (template || '').trim().replace(/\{\{tag\}\}/g, tagName);
+    }
+}
+
+/**
+ * Edits the tags in a note's frontmatter `tags` and `tag` properties
+ */
+class FrontmatterEditor {
+    /**
+     * Remove a tag from a note's frontmatter
+     * @param {object} app - Obsidian app instance
+     * @param {TFile} file - Note to edit
+     * @param {string} tagName - Tag to remove
+     * @returns {Promise<boolean>} True if the tag was found and removed
+     */
+    static removeTag(app, file, tagName) {
+        return this._editTags(app, file, tags => tags.filter(tag => !this._sameTag(tag, tagName)));
+    }
+
+    /**
+     * Rename a tag and its child tags in a note's frontmatter
+     * @param {object} app - Obsidian app instance
+     * @param {TFile} file - Note to edit
+     * @param {string} oldTagName - Tag to rename
+     * @param {string} newTagName - New tag name
+     * @returns {Promise<boolean>} True if any tag was renamed
+     */
+    static renameTag(app, file, oldTagName, newTagName) {
+        return this._editTags(app, file, tags => {
+            const renamed = tags.map(tag => TagRenamer.renameTagName(tag, oldTagName, newTagName) ?? tag);
+            // Drop duplicates created when the note already had the new tag
+            return renamed.filter((tag, index) => renamed.findIndex(other => this._sameTag(other, tag)) === index);
+        });
+    }
+
+    /**
+     * Add a tag to a note's frontmatter `tags` list, creating the list if needed
+     * @param {object} app - Obsidian app instance
+     * @param {TFile} file - Note to edit
+     * @param {string} tagName - Tag to add
+     * @returns {Promise<boolean>} True if the tag was added, false if the note already had it
+     */
+    static async addTag(app, file, tagName) {
+        let added = false;
+        await app.fileManager.processFrontMatter(file, frontmatter => {
+            const tags = TagConfigManager.isSet(frontmatter.tags) ? this._toTagList(frontmatter.tags) : [];
+            const tagTags = TagConfigManager.isSet(frontmatter.tag) ? this._toTagList(frontmatter.tag) : [];
+            if ([...tags, ...tagTags].some(tag => this._sameTag(tag, tagName))) return;
+
+            frontmatter.tags = [...tags, tagName];
+            added = true;
+        });
+        return added;
+    }
+
+    /**
+     * Reorder tags in a note's frontmatter. Tags not in the new order keep their positions;
+     * the reordered tags fill the positions the same tags held before.
+     * @param {object} app - Obsidian app instance
+     * @param {TFile} file - Note to edit
+     * @param {string[]} orderedTags - Tags in their new order
+     * @returns {Promise<boolean>} True if the order changed
+     */
+    static reorderTags(app, file, orderedTags) {
+        return this._editTags(app, file, tags => {
+            const remaining = orderedTags.filter(orderedTag => tags.some(tag => this._sameTag(tag, orderedTag)));
+            return tags.map(tag => {
+                const isReordered = orderedTags.some(orderedTag => this._sameTag(tag, orderedTag));
+                return isReordered ? remaining.shift() : tag;
+            });
+        });
+    }
+
+    /**
+     * Read the tags of a note's frontmatter the way the editor rewrites them, from both the
+     * `tags` and `tag` properties
+     * @param {object|undefined} frontmatter - Frontmatter from the metadata cache
+     * @returns {string[]} Tag names without leading #
+     */
+    static getTags(frontmatter) {
+        if (!frontmatter) return [];
+
+        return ['tags', 'tag']
+            .filter(key => TagConfigManager.isSet(frontmatter[key]))
+            .flatMap(key => this._toTagList(frontmatter[key]));
+    }
+
+    /**
+     * Apply a change to the tag lists in a note's frontmatter
+     * @private
+     * @param {object} app - Obsidian app instance
+     * @param {TFile} file - Note to edit
+     * @param {Function} transform - Receives and returns an array of tag names
+     * @returns {Promise<boolean>} True if any tag list changed
+     */
+    static async _editTags(app, file, transform) {
+        let changed = false;
+        await app.fileManager.processFrontMatter(file, frontmatter => {
+            ['tags', 'tag'].forEach(key => {
+                if (!TagConfigManager.isSet(frontmatter[key])) return;
+
+                const tags = this._toTagList(frontmatter[key]);
+                const newTags = transform(tags);
+                if (newTags.length !== tags.length || newTags.some((tag, index) => tag !== tags[index])) {
+                    frontmatter[key] = newTags;
+                    changed = true;
+                }
+            });
+        });
+        return changed;
+    }
+
+    /**
+     * Read a frontmatter tag property as a list of tag names
+     * @private
+     * @param {string|string[]} value - Property value, a list or a comma or space separated string
+     * @returns {string[]} Tag names without leading #
+     */
+    static _toTagList(value) {
+        const values = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+        return values
+            .map(tag => String(tag ?? '').trim().replace(/^#+/, ''))
+            .filter(tag => tag.length > 0);
+    }
+
+    /**
+     * Compare tags the way Obsidian does, ignoring case and leading #
+     * @private
+     * @param {string} a - Tag
+     * @param {string} b - Tag
+     * @returns {boolean} True if the tags are the same
+     */
+    static _sameTag(a, b) {
+        return a.replace(/^#+/, '').toLowerCase() === b.replace(/^#+/, '').toLowerCase();
+    }
+}
+
+/**
+ * Adds the "+" badge, remove buttons and drag reordering to an editable `tag-badges` block.
+ * Only frontmatter tags can be removed or reordered; inline tags are left alone.
+ */
+class BadgeBlockEditor {
+    /**
+     * @param {TagBadgesPlugin} plugin - Plugin instance
+     * @param {TFile} file - Note whose tags the block shows
+     * @param {boolean} canReorder - Whether the block shows tags in note order, so dragging makes sense
+     */
+    constructor(plugin, file, canReorder) {
+        this.plugin = plugin;
+        this.app = plugin.app;
+        this.file = file;
+        this.canReorder = canReorder;
+        this.frontmatterTags = FrontmatterParser.extractTags(file, this.app.metadataCache)
+            .map(tag => tag.toLowerCase());
+    }
+
+    /**
+     * Add a remove button and drag handling to a badge for a frontmatter tag
+     * @param {HTMLElement} badge - Badge element
+     * @param {string} tagName - Tag name
+     * @param {string[]} shownTags - Tags shown in the block, in display order
+     */
+    makeEditable(badge, tagName, shownTags) {
+        if (!this.frontmatterTags.includes(tagName.toLowerCase())) return;
+
+        const removeButton = badge.createEl('button', { text: '×', cls: CONSTANTS.CSS_CLASSES.BADGE_REMOVE });
+        removeButton.setAttribute('aria-label', `Remove #${tagName} from this note`);
+        removeButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.plugin.tagActions.removeFromNote(tagName, this.file);
+        });
+        // Keep Enter and Space on the button from also running the badge's click action
+        removeButton.addEventListener('keydown', (e) => e.stopPropagation());
+
+        if (this.canReorder) {
+            badge.draggable = true;
+            this._addDragListeners(badge, tagName, shownTags);
+        }
+    }
+
+    /**
+     * Create the "+" badge that adds a vault tag to the note
+     * @param {HTMLElement} container - Badge container
+     * @param {string[]} shownTags - Tags shown in the block
+     */
+    createAddBadge(container, shownTags) {
+        const addBadge = container.createDiv({
+            cls: [CONSTANTS.CSS_CLASSES.BADGE, CONSTANTS.CSS_CLASSES.ADD_BADGE]
+        });
+        IconRenderer.renderIcon(addBadge.createSpan({ cls: CONSTANTS.CSS_CLASSES.BADGE_ICON }), 'plus');
+        addBadge.setAttribute('aria-label', 'Add tag to this note');
+        addBadge.setAttribute('role', 'button');
+        addBadge.setAttribute('tabindex', '0');
+
+        const openSuggest = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            new TagSuggestModal(this.app, shownTags, tagName => this._addTag(tagName)).open();
+        };
+        addBadge.addEventListener('click', openSuggest);
+        addBadge.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                openSuggest(e);
+            }
+        });
+    }
+
+    /**
+     * Add a tag to the note's frontmatter
+     * @private
+     * @param {string} tagName - Tag name
+     */
+    async _addTag(tagName) {
+        try {
+            const added = await FrontmatterEditor.addTag(this.app, this.file, tagName);
+            if (!added) {
+                new Notice(`${this.file.basename} already has #${tagName}`);
+            }
+        } catch (error) {
+            console.error('Error adding tag to note:', error);
+            new Notice('Failed to add tag to note');
+        }
+    }
+
+    /**
+     * Add drag and drop listeners moving a badge before the badge it is dropped on
+     * @private
+     * @param {HTMLElement} badge - Badge element
+     * @param {string} tagName - Tag name
+     * @param {string[]} shownTags - Tags shown in the block, in display order
+     */
+    _addDragListeners(badge, tagName, shownTags) {
+        badge.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', tagName);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        badge.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            badge.addClass(CONSTANTS.CSS_CLASSES.BADGE_DRAG_OVER);
+        });
+
+        badge.addEventListener('dragleave', () => {
+            badge.removeClass(CONSTANTS.CSS_CLASSES.BADGE_DRAG_OVER);
+        });
+
+        badge.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            badge.removeClass(CONSTANTS.CSS_CLASSES.BADGE_DRAG_OVER);
+
+            const draggedTag = e.dataTransfer.getData('text/plain');
+            if (!draggedTag || draggedTag === tagName || !shownTags.includes(draggedTag)) return;
+
+            const orderedTags = shownTags.filter(tag => tag !== draggedTag);
+            orderedTags.splice(orderedTags.indexOf(tagName), 0, draggedTag);
+
+            try {
+                await FrontmatterEditor.reorderTags(this.app, this.file, orderedTags);
+            } catch (error) {
+                console.error('Error reordering tags:', error);
+                new Notice('Failed to reorder tags');
+            }
+        });
+    }
+}
+
+/**
+ * Suggests tags used anywhere in the vault
+ */
+class TagSuggestModal extends FuzzySuggestModal {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {string[]} excludedTags - Tags not to suggest
+     * @param {Function} onChoose - Callback receiving the chosen tag name, without #
+     */
+    constructor(app, excludedTags, onChoose) {
+        super(app);
+        this.excludedTags = new Set(excludedTags.map(tag => tag.toLowerCase()));
+        this.onChoose = onChoose;
+        this.setPlaceholder('Choose a tag, or type a new one');
+    }
+
+    getItems() {
+        const vaultTags = Object.keys(this.app.metadataCache.getTags())
+            .map(tag => tag.replace(/^#+/, ''))
+            .filter(tag => !this.excludedTags.has(tag.toLowerCase()))
+            .sort((a, b) => a.localeCompare(b));
+
+        // Offer the typed text as a new tag when it is not already a vault tag
+        const typedTag = this.inputEl.value.trim().replace(/^#+/, '');
+        const isNewTag = typedTag && FormUtils.validateTagName(typedTag).isValid &&
+            !vaultTags.some(tag => tag.toLowerCase() === typedTag.toLowerCase());
+        return isNewTag ? [typedTag, ...vaultTags] : vaultTags;
+    }
+
+    getItemText(tagName) {
+        return tagName;
+    }
+
+    onChooseItem(tagName) {
+        this.onChoose(tagName);
+    }
+}
+
+/**
+ * Renames a tag and its child tags in the frontmatter and body of every note,
+ * and moves their badge configurations along
+ */
+class TagRenamer {
+    /**
+     * @param {TagBadgesPlugin} plugin - Plugin instance
+     */
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.app = plugin.app;
+    }
+
+    /**
+     * Get the new name of a tag if it is the renamed tag or one of its children
+     * @param {string} tagName - Tag to check, with or without leading #
+     * @param {string} oldTagName - Tag being renamed
+     * @param {string} newTagName - New tag name
+     * @returns {string|null} Renamed tag without #, or null if the tag is not affected
+     */
+    static renameTagName(tagName, oldTagName, newTagName) {
+        const cleanTagName = tagName.replace(/^#+/, '');
+        const lowerTagName = cleanTagName.toLowerCase();
+        const lowerOldTagName = oldTagName.toLowerCase();
+
+        if (lowerTagName === lowerOldTagName) return newTagName;
+        if (lowerTagName.startsWith(`${lowerOldTagName}/`)) {
+            return newTagName + cleanTagName.slice(oldTagName.length);
+        }
+        return null;
+    }
+
+    /**
+     * Get the renames a rename causes among a list of tags
+     * @param {string[]} tagNames - Tags to check
+     * @param {string} oldTagName - Tag being renamed
+     * @param {string} newTagName - New tag name
+     * @returns {object[]} Array of { from, to }
+     */
+    static getRenames(tagNames, oldTagName, newTagName) {
+        return tagNames
+            .map(tagName => ({ from: tagName, to: this.renameTagName(tagName, oldTagName, newTagName) }))
+            .filter(rename => rename.to !== null);
+    }
+
+    /**
+     * Work out which notes and configurations a rename changes, without changing anything
+     * @param {string} oldTagName - Tag to rename
+     * @param {string} newTagName - New tag name
+     * @returns {object} Plan with oldTagName, newTagName, files ({ file, frontmatter, inline } counts)
+     *     and configs ({ from, to } renames)
+     */
+    planRename(oldTagName, newTagName) {
+        const files = [];
+        this.app.vault.getMarkdownFiles().forEach(file => {
+            const cache = this.app.metadataCache.getFileCache(file);
+            if (!cache) return;
+
+            const frontmatterTags = FrontmatterEditor.getTags(cache.frontmatter);
+            const frontmatter = TagRenamer.getRenames(frontmatterTags, oldTagName, newTagName).length;
+            const inline = (cache.tags || [])
+                .filter(tagCache => TagRenamer.renameTagName(tagCache.tag, oldTagName, newTagName) !== null)
+                .length;
+
+            if (frontmatter > 0 || inline > 0) {
+                files.push({ file, frontmatter, inline });
+            }
+        });
+
+        const configs = TagRenamer.getRenames(
+            Object.keys(this.plugin.settings.tagConfigs), oldTagName, newTagName
+        );
+        return { oldTagName, newTagName, files, configs };
+    }
+
+    /**
+     * Apply a rename plan. Notes that fail are reported rather than stopping the rename.
+     * @param {object} plan - Plan from planRename
+     * @returns {Promise<object>} Summary with files, frontmatterTags and inlineTags counts,
+     *     configs and skippedConfigs renames, and failed file paths
+     */
+    async applyRename(plan) {
+        const { oldTagName, newTagName } = plan;
+        const summary = { files: 0, frontmatterTags: 0, inlineTags: 0, configs: [], skippedConfigs: [], failed: [] };
+
+        for (const entry of plan.files) {
+            try {
+                // Inline tags first: their cached offsets are only valid before the frontmatter changes
+                const inlineTags = entry.inline > 0 ? await this._renameInlineTags(entry.file, oldTagName, newTagName) : 0;
+                const frontmatterChanged = entry.frontmatter > 0 &&
+                    await FrontmatterEditor.renameTag(this.app, entry.file, oldTagName, newTagName);
+
+                summary.inlineTags += inlineTags;
+                summary.frontmatterTags += frontmatterChanged ? entry.frontmatter : 0;
+                if (inlineTags > 0 || frontmatterChanged) {
+                    summary.files++;
+                }
+            } catch (error) {
+                console.error(`Error renaming tag in ${entry.file.path}:`, error);
+                summary.failed.push(entry.file.path);
+            }
+        }
+
+        const { renamed, skipped } = await this.plugin.configManager.renameTagConfigs(oldTagName, newTagName);
+        summary.configs = renamed;
+        summary.skippedConfigs = skipped;
+        return summary;
+    }
+
+    /**
+     * Rename inline tags in a note's body using the positions in its metadata cache
+     * @private
+     * @param {TFile} file - Note to edit
+     * @param {string} oldTagName - Tag to rename
+     * @param {string} newTagName - New tag name
+     * @returns {Promise<number>} Number of tags renamed
+     */
+    async _renameInlineTags(file, oldTagName, newTagName) {
+        const tagCaches = (this.app.metadataCache.getFileCache(file)?.tags || [])
+            .filter(tagCache => TagRenamer.renameTagName(tagCache.tag, oldTagName, newTagName) !== null)
+            .sort((a, b) => b.position.start.offset - a.position.start.offset);
+
+        let renamedCount = 0;
+        await this.app.vault.process(file, content => {
+            let newContent = content;
+            // Replace from the end so earlier offsets stay valid
+            tagCaches.forEach(tagCache => {
+                const { start, end } = tagCache.position;
+                // Skip tags whose cached position no longer matches the file
+                if (newContent.slice(start.offset, end.offset) !== tagCache.tag) return;
+
+                const renamedTag = TagRenamer.renameTagName(tagCache.tag, oldTagName, newTagName);
+                newContent = newContent.slice(0, start.offset) + `#${renamedTag}` + newContent.slice(end.offset);
+                renamedCount++;
+            });
+            return newContent;
+        });
+        return renamedCount;
+    }
+}
+
+/**
+ * Previews the notes and configurations a vault-wide tag rename changes, runs it,
+ * and reports what was changed
+ */
+class TagRenameModal extends Modal {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {TagBadgesPlugin} plugin - Plugin instance
+     * @param {string} oldTagName - Tag to rename
+     * @param {string} newTagName - New tag name
+     * @param {Function} [onRenamed] - Callback run after the rename
+     */
+    constructor(app, plugin, oldTagName, newTagName, onRenamed) {
+        super(app);
+        this.plugin = plugin;
+        this.onRenamed = onRenamed;
+        this.plan = plugin.tagRenamer.planRename(oldTagName, newTagName);
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        const { oldTagName, newTagName, files, configs } = this.plan;
+        contentEl.empty();
+        contentEl.createEl('h3', { text: `Rename #${oldTagName} to #${newTagName}` });
+
+        if (files.length === 0 && configs.length === 0) {
+            contentEl.createEl('p', { text: `No notes or configurations use #${oldTagName}.` });
+            this._createButtons(contentEl, false);
+            return;
+        }
+
+        contentEl.createEl('p', {
+            text: `${files.length} note(s) and ${configs.length} configuration(s) will change. ` +
+                'Child tags are renamed too.'
+        });
+
+        if (files.length > 0) {
+            contentEl.createEl('h5', { text: 'Notes' });
+            const fileList = contentEl.createEl('ul', { cls: CONSTANTS.CSS_CLASSES.TRANSFER_LIST });
+            files.forEach(({ file, frontmatter, inline }) => {
+                const parts = [];
+                if (frontmatter > 0) parts.push(`${frontmatter} in frontmatter`);
+                if (inline > 0) parts.push(`${inline} inline`);
+                fileList.createEl('li', { text: `${file.path} (${parts.join(', ')})` });
+            });
+        }
+
+        if (configs.length > 0) {
+            contentEl.createEl('h5', { text: 'Badge configurations' });
+            const configList = contentEl.createEl('ul', { cls: CONSTANTS.CSS_CLASSES.TRANSFER_LIST });
+            configs.forEach(({ from, to }) => {
+                const conflict = this.plugin.settings.tagConfigs[to] && to.toLowerCase() !== from.toLowerCase();
+                configList.createEl('li', {
+                    text: conflict
+                        ? `#${from} → #${to} (skipped: #${to} is already configured)`
+                        : `#${from} → #${to}`
+                });
+            });
+        }
+
+        this._createButtons(contentEl, true);
+    }
+
+    /**
+     * Create the cancel and rename buttons
+     * @private
+     * @param {HTMLElement} contentEl - Content element
+     * @param {boolean} canRename - Whether there is anything to rename
+     */
+    _createButtons(contentEl, canRename) {
+        const buttonContainer = contentEl.createDiv();
+        buttonContainer.style.textAlign = 'right';
+
+        const cancelButton = buttonContainer.createEl('button', { text: canRename ? 'Cancel' : 'Close' });
+        cancelButton.onclick = () => this.close();
+        if (!canRename) return;
+
+        cancelButton.style.marginRight = '8px';
+        const renameButton = buttonContainer.createEl('button', { text: 'Rename', cls: 'mod-cta' });
+        renameButton.onclick = async () => {
+            renameButton.disabled = true;
+            try {
+                const summary = await this.plugin.tagRenamer.applyRename(this.plan);
+                this._showSummary(summary);
+                this.onRenamed?.();
+            } catch (error) {
+                console.error('Error renaming tag:', error);
+                new Notice('Failed to rename tag');
+                renameButton.disabled = false;
+            }
+        };
+    }
+
+    /**
+     * Replace the preview with a report of what was renamed
+     * @private
+     * @param {object} summary - Summary from TagRenamer.applyRename
+     */
+    _showSummary(summary) {
+        const { contentEl } = this;
+        const { oldTagName, newTagName } = this.plan;
+        contentEl.empty();
+        contentEl.createEl('h3', { text: `Renamed #${oldTagName} to #${newTagName}` });
+
+        const report = contentEl.createEl('ul');
+        report.createEl('li', { text: `${summary.files} note(s) changed` });
+        report.createEl('li', { text: `${summary.frontmatterTags} frontmatter tag(s) renamed` });
+        report.createEl('li', { text: `${summary.inlineTags} inline tag(s) renamed` });
+        report.createEl('li', { text: `${summary.configs.length} badge configuration(s) renamed` });
+        summary.skippedConfigs.forEach(({ from, to }) => {
+            report.createEl('li', { text: `Kept the configuration of #${from}: #${to} is already configured` });
+        });
+        summary.failed.forEach(path => {
+            report.createEl('li', { text: `Failed to update ${path}`, cls: CONSTANTS.CSS_CLASSES.CONTRAST_FAIL });
+        });
+
+        new Notice(`Renamed #${oldTagName} to #${newTagName} in ${summary.files} note(s)`);
+        this._createButtons(contentEl, false);
+    }
+
+    onClose() {
+        const { contentEl } = this;
+        contentEl.empty();
+    }
+}
+
+/**
+ * Widget replacing a `#tag` token in Live Preview with a styled badge
+ */
+class TagBadgeWidget extends WidgetType {
+    /**
+     * @param {NativeTagStyler} styler - Native tag styler
+     * @param {string} tagName - Tag name without the leading #
+     * @param {string} [sourcePath] - Path of the note being edited
+     */
+    constructor(styler, tagName, sourcePath) {
+        super();
+        this.styler = styler;
+        this.tagName = tagName;
+        this.sourcePath = sourcePath;
+        this.version = styler.version;
+    }
+
+    eq(other) {
+        return other.tagName === this.tagName && other.sourcePath === this.sourcePath &&
+            other.version === this.version;
+    }
+
+    toDOM() {
+        const el = document.createElement('span');
+        el.addClass('cm-hashtag');
+        this.styler.styleTagElement(el, this.tagName, this.sourcePath);
+        return el;
+    }
+
+    ignoreEvent() {
+        // Let the editor handle clicks so the cursor moves in and reveals the raw tag
+        return false;
+    }
+}
+
+/**
+ * Restyles Obsidian's own tag pills as badges in Reading view, Live Preview
+ * and the Properties panel, using the same configuration resolution as BadgeRenderer
+ */
+class NativeTagStyler {
+    static REFRESH_EFFECT = StateEffect.define();
+
+    /**
+     * @param {TagBadgesPlugin} plugin - The main plugin instance
+     */
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.version = 0;
+        // Values of the properties conditions depend on, per note, to skip unrelated edits
+        this.conditionSnapshots = new Map();
+        this.requestPropertiesUpdate = FormUtils.debounce(
+            () => this.styleProperties(),
+            CONSTANTS.REFRESH_DEBOUNCE
+        );
+    }
+
+    /**
+     * Whether native tag styling is turned on
+     * @returns {boolean} True if enabled
+     */
+    get enabled() {
+        return this.plugin.settings.styleNativeTags;
+    }
+
+    /**
+     * Style an element as the badge for a tag, replacing its content
+     * @param {HTMLElement} el - Element to style
+     * @param {string} tagName - Tag name without the leading #
+     * @param {string} [sourcePath] - Path of the note the tag is in, for conditional styles
+     */
+    styleTagElement(el, tagName, sourcePath) {
+        const config = this.plugin.badgeRenderer.applyConditions(
+            this.plugin.configManager.getTagConfig(tagName), sourcePath
+        );
+
+        el.empty();
+        el.addClass(CONSTANTS.CSS_CLASSES.BADGE, CONSTANTS.CSS_CLASSES.NATIVE_BADGE);
+        el.setAttribute('aria-label', `#${tagName}`);
+        this.plugin.badgeRenderer.applyStyle(el, config);
+        this.plugin.badgeRenderer.renderContent(el, config, tagName);
+    }
+
+    /**
+     * Markdown post processor restyling `a.tag` links in Reading view
+     * @param {HTMLElement} el - Rendered section element
+     * @param {string} [sourcePath] - Path of the rendered note
+     */
+    processReadingView(el, sourcePath) {
+        if (!this.enabled) return;
+
+        el.querySelectorAll('a.tag').forEach(tagEl => {
+            const tagName = (tagEl.getAttribute('href') || tagEl.textContent || '')
+                .replace(/^#+/, '')
+                .trim();
+            if (tagName) {
+                this.styleTagElement(tagEl, tagName, sourcePath);
+            }
+        });
+    }
+
+    /**
+     * Restyle the tag pills in every open Properties panel
+     */
+    styleProperties() {
+        if (!this.enabled) return;
+
+        const { workspace } = this.plugin.app;
+        const styledPills = new Set();
+        workspace.getLeavesOfType('markdown').forEach(leaf => {
+            leaf.view.containerEl.querySelectorAll(CONSTANTS.PROPERTY_TAG_PILL_SELECTOR).forEach(pill => {
+                this._stylePropertyPill(pill, leaf.view.file?.path);
+                styledPills.add(pill);
+            });
+        });
+
+        // Other panels, such as the File properties view, show the active note
+        const activePath = workspace.getActiveFile()?.path;
+        document.querySelectorAll(CONSTANTS.PROPERTY_TAG_PILL_SELECTOR).forEach(pill => {
+            if (!styledPills.has(pill)) {
+                this._stylePropertyPill(pill, activePath);
+            }
+        });
+    }
+
+    /**
+     * Restyle a Properties panel tag pill
+     * @private
+     * @param {HTMLElement} pill - Tag pill element
+     * @param {string} [sourcePath] - Path of the note the panel shows, for conditional styles
+     */
+    _stylePropertyPill(pill, sourcePath) {
+        const tagName = pill.textContent.replace(/^#+/, '').trim();
+        if (!tagName) return;
+
+        const config = this.plugin.badgeRenderer.applyConditions(
+            this.plugin.configManager.getTagConfig(tagName), sourcePath
+        );
+        pill.querySelectorAll(`.${CONSTANTS.CSS_CLASSES.NATIVE_ICON}`).forEach(icon => icon.remove());
+        pill.addClass(CONSTANTS.CSS_CLASSES.NATIVE_BADGE);
+        this.plugin.badgeRenderer.applyStyle(pill, config);
+
+        if (config.icon) {
+            const iconEl = createSpan({
+                cls: [CONSTANTS.CSS_CLASSES.BADGE_ICON, CONSTANTS.CSS_CLASSES.NATIVE_ICON]
+            });
+            IconRenderer.renderIcon(iconEl, config.icon);
+            pill.prepend(iconEl);
+        }
+    }
+
+    /**
+     * Restyle the native tags of a changed note if a property conditional styles depend on
+     * changed; other edits, such as typing in the note body, leave its rendering alone
+     * @param {TFile} file - Changed note
+     */
+    refreshFile(file) {
+        if (!this.enabled) return;
+
+        const properties = this.plugin.configManager.getConditionProperties();
+        if (properties.length === 0) return;
+
+        const frontmatter = this.plugin.app.metadataCache.getFileCache(file)?.frontmatter || {};
+        const snapshot = JSON.stringify(properties.map(property => frontmatter[property] ?? null));
+        const previousSnapshot = this.conditionSnapshots.get(file.path);
+        this.conditionSnapshots.set(file.path, snapshot);
+        if (previousSnapshot === snapshot) return;
+
+        this.version++;
+        this.plugin.app.workspace.getLeavesOfType('markdown').forEach(leaf => {
+            if (leaf.view.file?.path !== file.path) return;
+            leaf.view.previewMode?.rerender(true);
+            leaf.view.editor?.cm?.dispatch({ effects: NativeTagStyler.REFRESH_EFFECT.of(null) });
+        });
+    }
+
+    /**
+     * Remove badge styling from Properties panel tag pills
+     */
+    clearProperties() {
+        document.querySelectorAll(CONSTANTS.PROPERTY_TAG_PILL_SELECTOR).forEach(pill => {
+            if (!pill.hasClass(CONSTANTS.CSS_CLASSES.NATIVE_BADGE)) return;
+
+            pill.querySelectorAll(`.${CONSTANTS.CSS_CLASSES.NATIVE_ICON}`).forEach(icon => icon.remove());
+            pill.removeClass(CONSTANTS.CSS_CLASSES.NATIVE_BADGE);
+            this.plugin.badgeRenderer.clearStyle(pill);
+        });
+    }
+
+    /**
+     * Re-apply styling everywhere after configurations or the setting change
+     */
+    refresh() {
+        this.version++;
+
+        if (this.enabled) {
+            this.styleProperties();
+        } else {
+            this.clearProperties();
+        }
+
+        this.plugin.app.workspace.getLeavesOfType('markdown').forEach(leaf => {
+            leaf.view.previewMode?.rerender(true);
+            leaf.view.editor?.cm?.dispatch({ effects: NativeTagStyler.REFRESH_EFFECT.of(null) });
+        });
+    }
+
+    /**
+     * Create the CodeMirror 6 extension decorating `#tag` tokens in Live Preview
+     * @returns {ViewPlugin} Editor extension
+     */
+    createEditorExtension() {
+        const styler = this;
+
+        return ViewPlugin.fromClass(class {
+            constructor(view) {
+                this.decorations = styler._buildDecorations(view);
+            }
+
+            update(update) {
+                const refreshed = update.transactions.some(transaction =>
+                    transaction.effects.some(effect => effect.is(NativeTagStyler.REFRESH_EFFECT)));
+
+                if (refreshed || update.docChanged || update.viewportChanged || update.selectionSet ||
+                    syntaxTree(update.startState) !== syntaxTree(update.state)) {
+                    this.decorations = styler._buildDecorations(update.view);
+                }
+            }
+        }, {
+            decorations: plugin => plugin.decorations
+        });
+    }
+
+    /**
+     * Build badge decorations for the visible `#tag` tokens
+     * @private
+     * @param {EditorView} view - Editor view
+     * @returns {DecorationSet} Decorations
+     */
+    _buildDecorations(view) {
+        if (!this.enabled || !view.state.field(editorLivePreviewField, false)) {
+            return Decoration.none;
+        }
+
+        const builder = new RangeSetBuilder();
+        const { selection, doc } = view.state;
+        const sourcePath = view.state.field(editorInfoField, false)?.file?.path;
+
+        view.visibleRanges.forEach(({ from, to }) => {
+            let tagStart = null;
+
+            syntaxTree(view.state).iterate({
+                from,
+                to,
+                enter: (node) => {
+                    if (node.name.includes('hashtag-begin')) {
+                        tagStart = node.from;
+                        return;
+                    }
+                    if (tagStart === null || !node.name.includes('hashtag-end')) return;
+
+                    const tagEnd = node.to;
+                    // Leave the raw text editable while the cursor is inside the tag
+                    const editing = selection.ranges.some(range =>
+                        range.from <= tagEnd && range.to >= tagStart);
+
+                    if (!editing) {
+                        const tagName = doc.sliceString(tagStart, tagEnd).replace(/^#+/, '');
+                        builder.add(tagStart, tagEnd, Decoration.replace({
+                            widget: new TagBadgeWidget(this, tagName, sourcePath)
+                        }));
+                    }
+                    tagStart = null;
+                }
+            });
+        });
+
+        return builder.finish();
+    }
+}
+
+/**
+ * Style manager for injecting and managing CSS styles
+ */
+class StyleManager {
+    static STYLE_ID = CONSTANTS.STYLE_ID;
+
+    /**
+     * Inject plugin styles into the document
+     */
+    static injectStyles() {
+        if (document.getElementById(this.STYLE_ID)) return;
+
+        const style = document.createElement('style');
+        style.id = this.STYLE_ID;
+        style.textContent = this._getStyleContent();
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Remove plugin styles from the document
+     */
+    static removeStyles() {
+        const styleEl = document.getElementById(this.STYLE_ID);
+        if (styleEl) styleEl.remove();
+    }
+
+    /**
+     * Get the CSS content for the plugin
+     * @private
+     * @returns {string} CSS content
+     */
+    static _getStyleContent() {
+        return `
+            .${CONSTANTS.CSS_CLASSES.CONTAINER} {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                margin: 8px 0;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.BADGE} {
+                display: inline-flex;
+                align-items: center;
+                gap: 4px;
                 padding: 4px 8px;
                 border-radius: ${CONSTANTS.BADGE_BORDER_RADIUS}px;
                 font-size: 0.8em;
@@ -322,744 +2672,3430 @@ class StyleManager {
                 border: none;
                 outline: none;
             }
-            
-            .${CONSTANTS.CSS_CLASSES.BADGE}:hover,
-            .${CONSTANTS.CSS_CLASSES.BADGE}:focus {
-                opacity: 0.8;
-                transform: translateY(-1px);
+            
+            .${CONSTANTS.CSS_CLASSES.BADGE}:hover,
+            .${CONSTANTS.CSS_CLASSES.BADGE}:focus {
+                opacity: 0.8;
+                transform: translateY(-1px);
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.BADGE}:focus-visible {
+                box-shadow: 0 0 0 2px var(--accent-color);
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.BADGE_ICON} {
+                display: inline-flex;
+                align-items: center;
+                width: ${CONSTANTS.ICON_SIZE}px;
+                height: ${CONSTANTS.ICON_SIZE}px;
+                flex-shrink: 0;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.BADGE_ICON} svg {
+                width: ${CONSTANTS.ICON_SIZE}px;
+                height: ${CONSTANTS.ICON_SIZE}px;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.BADGE_TEXT} {
+                line-height: 1;
+                white-space: nowrap;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.BADGE_COUNT} {
+                line-height: 1;
+                padding: 1px 5px;
+                border-radius: 8px;
+                background-color: rgba(0, 0, 0, 0.2);
+                font-size: 0.85em;
+            }
+            
+            a.tag.${CONSTANTS.CSS_CLASSES.NATIVE_BADGE},
+            .cm-hashtag.${CONSTANTS.CSS_CLASSES.NATIVE_BADGE} {
+                text-decoration: none;
+                vertical-align: baseline;
+            }
+
+            .multi-select-pill.${CONSTANTS.CSS_CLASSES.NATIVE_BADGE} .${CONSTANTS.CSS_CLASSES.BADGE_ICON} {
+                margin-right: 4px;
+            }
+
+            .multi-select-pill.${CONSTANTS.CSS_CLASSES.NATIVE_BADGE} .multi-select-pill-remove-button {
+                color: inherit;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.NO_TAGS} {
+                color: var(--text-muted);
+                font-style: italic;
+                padding: 8px 0;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.CONFIG_SEPARATOR} {
+                border-top: 1px solid var(--background-modifier-border);
+                margin: 16px 0;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.MODAL_ROW} {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                margin-bottom: 16px;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.MODAL_LABEL} {
+                font-weight: 500;
+                margin-right: 12px;
+                min-width: 120px;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.MODAL_INPUT} {
+                flex: 1;
+                max-width: 200px;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.INHERIT_TOGGLE} {
+                display: inline-flex;
+                align-items: center;
+                gap: 4px;
+                margin-left: 8px;
+                min-width: 140px;
+                font-size: 0.8em;
+                color: var(--text-muted);
+                white-space: nowrap;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.MODAL_PREVIEW} {
+                display: inline-flex;
+                align-items: center;
+                gap: 4px;
+                padding: 4px 8px;
+                border-radius: ${CONSTANTS.BADGE_BORDER_RADIUS}px;
+                font-size: 0.8em;
+                font-weight: 500;
+                margin: 16px 0;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.MODAL_PREVIEW} .${CONSTANTS.CSS_CLASSES.BADGE_ICON} {
+                width: ${CONSTANTS.ICON_SIZE}px;
+                height: ${CONSTANTS.ICON_SIZE}px;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.MODAL_PREVIEW} .${CONSTANTS.CSS_CLASSES.BADGE_ICON} svg {
+                width: ${CONSTANTS.ICON_SIZE}px;
+                height: ${CONSTANTS.ICON_SIZE}px;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.TAG_LIST_ITEM} {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                padding: 8px 12px;
+                border: 1px solid var(--background-modifier-border);
+                border-radius: 6px;
+                margin-bottom: 8px;
+                background: var(--background-secondary);
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.TAG_LIST_NAME} {
+                font-weight: 500;
+                color: var(--text-normal);
+                flex: 1;
+            }
+            
+            .${CONSTANTS.CSS_CLASSES.TAG_LIST_BUTTONS} {
+                display: flex;
+                gap: 8px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.RULE_LIST_ITEM} {
+                gap: 8px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.RULE_LIST_ITEM}.${CONSTANTS.CSS_CLASSES.RULE_DRAG_OVER} {
+                border-color: var(--interactive-accent);
+            }
+
+            .${CONSTANTS.CSS_CLASSES.RULE_DRAG_HANDLE} {
+                display: inline-flex;
+                color: var(--text-muted);
+                cursor: grab;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.RULE_TEST_RESULT} {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin-bottom: 16px;
+                color: var(--text-muted);
+                font-size: 0.9em;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.TRANSFER_LIST} {
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+                max-height: 240px;
+                overflow-y: auto;
+                padding: 8px 12px;
+                border: 1px solid var(--background-modifier-border);
+                border-radius: 6px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.ICON_PICKER_GRID} {
+                display: grid;
+                grid-template-columns: repeat(${CONSTANTS.ICON_PICKER_COLUMNS}, 1fr);
+                gap: 4px;
+                max-height: 320px;
+                overflow-y: auto;
+                margin-bottom: 12px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.ICON_PICKER_CELL} {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                height: 40px;
+                padding: 0;
+                background: var(--background-secondary);
+                box-shadow: none;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.ICON_PICKER_CELL}.is-selected {
+                background: var(--interactive-accent);
+                color: var(--text-on-accent);
+            }
+
+            .${CONSTANTS.CSS_CLASSES.ICON_PICKER_HEADING} {
+                margin: 12px 0 6px;
+                font-size: 0.85em;
+                color: var(--text-muted);
+            }
+
+            .${CONSTANTS.CSS_CLASSES.THEME_COLOR_INPUT} {
+                display: inline-flex;
+                align-items: center;
+                gap: 4px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.THEME_COLOR_INPUT} input[type="text"] {
+                width: 120px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.ADD_BADGE} {
+                background: transparent;
+                color: var(--text-muted);
+                border: 1px dashed var(--background-modifier-border);
+            }
+
+            .${CONSTANTS.CSS_CLASSES.BADGE_REMOVE} {
+                margin-left: 2px;
+                padding: 0;
+                height: auto;
+                border: none;
+                background: none;
+                box-shadow: none;
+                color: inherit;
+                font: inherit;
+                line-height: 1;
+                cursor: pointer;
+                opacity: 0.6;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.BADGE_REMOVE}:focus-visible {
+                opacity: 1;
+                outline: 1px solid currentColor;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.BADGE_REMOVE}:hover {
+                opacity: 1;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.BADGE_DRAG_OVER} {
+                box-shadow: -3px 0 0 var(--interactive-accent);
+            }
+
+            .${CONSTANTS.CSS_CLASSES.CONTRAST_READOUT} {
+                font-size: 0.8em;
+                color: var(--text-muted);
+            }
+
+            .${CONSTANTS.CSS_CLASSES.TAG_LIST_NAME} .${CONSTANTS.CSS_CLASSES.CONTRAST_READOUT} {
+                margin-left: 8px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.CONTRAST_FAIL} {
+                color: var(--text-error);
+            }
+
+            .${CONSTANTS.CSS_CLASSES.ICON_PICK_BUTTON} {
+                margin-left: 4px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.BULK_TOOLBAR} {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 6px;
+                margin-bottom: 8px;
+                font-size: 0.9em;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.BULK_CHECKBOX} {
+                margin-right: 8px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.TAG_MANAGER_TOOLBAR} {
+                display: flex;
+                gap: 6px;
+                margin-bottom: 8px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.TAG_MANAGER_TOOLBAR} input {
+                flex: 1;
+                min-width: 0;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.TAG_MANAGER_NODE} {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                padding-top: 2px;
+                padding-bottom: 2px;
+                border-radius: 4px;
+                cursor: pointer;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.TAG_MANAGER_NODE}:hover {
+                background-color: var(--background-modifier-hover);
+            }
+
+            .${CONSTANTS.CSS_CLASSES.TAG_MANAGER_TOGGLE} {
+                display: inline-flex;
+                width: 16px;
+                color: var(--text-muted);
+            }
+
+            .${CONSTANTS.CSS_CLASSES.TAG_MANAGER_COUNT},
+            .${CONSTANTS.CSS_CLASSES.TAG_MANAGER_STATUS} {
+                font-size: 0.8em;
+                color: var(--text-muted);
+            }
+
+            .${CONSTANTS.CSS_CLASSES.TAG_MANAGER_STATUS} {
+                margin-left: auto;
+                padding-right: 4px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.TAG_MANAGER_STATUS_CONFIGURED} {
+                color: var(--text-accent);
+            }
+
+            .${CONSTANTS.CSS_CLASSES.HOVER_PREVIEW} {
+                padding: 8px 12px;
+                max-width: 360px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.HOVER_DESCRIPTION} {
+                margin: 4px 0;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.HOVER_META} {
+                font-size: 0.85em;
+                color: var(--text-muted);
+            }
+
+            .${CONSTANTS.CSS_CLASSES.DESCRIPTION_INPUT} {
+                width: 100%;
+                min-height: 80px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.CONDITION_ROW} {
+                margin-bottom: 8px;
+                padding: 4px 8px;
+                border: 1px solid var(--background-modifier-border);
+                border-radius: 6px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.CONDITION_ROW} .${CONSTANTS.CSS_CLASSES.MODAL_ROW} {
+                gap: 6px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.CONDITION_ROW} input[type="number"] {
+                width: 80px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.INHERITANCE_INFO} {
+                margin-bottom: 16px;
+                padding: 8px 12px;
+                background-color: var(--background-secondary);
+                border-radius: 6px;
+                font-size: 0.9em;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.CONTAINER}.tag-badges-layout-inline {
+                display: inline-flex;
+                margin: 0;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.CONTAINER}.tag-badges-layout-list {
+                flex-direction: column;
+                align-items: flex-start;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.BLOCK_ERROR} {
+                padding: 8px 12px;
+                border-left: 3px solid var(--text-error);
+                background-color: var(--background-secondary);
+                color: var(--text-error);
+                font-size: 0.9em;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.BLOCK_ERROR} ul {
+                margin: 4px 0 0;
+            }
+            ${this._getShapeStyleContent()}
+            ${this._getSizeStyleContent()}
+        `;
+    }
+
+    /**
+     * Get the CSS content for the badge `shape` property
+     * @private
+     * @returns {string} CSS content
+     */
+    static _getShapeStyleContent() {
+        return Object.entries(CONSTANTS.BADGE_SHAPES).map(([shape, { borderRadius }]) => `
+            .tag-badge-shape-${shape} {
+                border-radius: ${borderRadius};
+            }
+        `).join('');
+    }
+
+    /**
+     * Get the CSS content for the badge `size` property and the code block `size` option,
+     * which overrides the badges' own sizes
+     * @private
+     * @returns {string} CSS content
+     */
+    static _getSizeStyleContent() {
+        return Object.entries(CONSTANTS.BADGE_SIZES).map(([size, dimensions]) => `
+            .tag-badge-size-${size} {
+                font-size: ${dimensions.fontSize};
+                padding: ${dimensions.padding};
+            }
+
+            .tag-badge-size-${size} .${CONSTANTS.CSS_CLASSES.BADGE_ICON},
+            .tag-badge-size-${size} .${CONSTANTS.CSS_CLASSES.BADGE_ICON} svg {
+                width: ${dimensions.iconSize}px;
+                height: ${dimensions.iconSize}px;
+            }
+
+            .${CONSTANTS.CSS_CLASSES.CONTAINER}.tag-badges-size-${size} .${CONSTANTS.CSS_CLASSES.BADGE} {
+                font-size: ${dimensions.fontSize};
+                padding: ${dimensions.padding};
+            }
+
+            .${CONSTANTS.CSS_CLASSES.CONTAINER}.tag-badges-size-${size} .${CONSTANTS.CSS_CLASSES.BADGE_ICON},
+            .${CONSTANTS.CSS_CLASSES.CONTAINER}.tag-badges-size-${size} .${CONSTANTS.CSS_CLASSES.BADGE_ICON} svg {
+                width: ${dimensions.iconSize}px;
+                height: ${dimensions.iconSize}px;
+            }
+        `).join('');
+    }
+}
+
+/**
+ * Frontmatter parser for extracting tags from file metadata
+ */
+class FrontmatterParser {
+    /**
+     * Extract and normalize tags from a file
+     * @param {object} file - The Obsidian file object
+     * @param {object} metadataCache - The metadata cache
+     * @param {string} [source] - Tag source: 'frontmatter', 'inline' or 'both'
+     * @returns {string[]} Array of cleaned, unique tag names
+     */
+    static extractTags(file, metadataCache, source = 'frontmatter') {
+        return this.extractTagCounts(file, metadataCache, source).map(entry => entry.tag);
+    }
+
+    /**
+     * Extract unique tags from a file with the number of times each occurs
+     * @param {object} file - The Obsidian file object
+     * @param {object} metadataCache - The metadata cache
+     * @param {string} [source] - Tag source: 'frontmatter', 'inline' or 'both'
+     * @returns {object[]} Array of { tag, count } in order of first occurrence
+     */
+    static extractTagCounts(file, metadataCache, source = 'frontmatter') {
+        if (!file || !metadataCache) return [];
+
+        try {
+            const cache = metadataCache.getFileCache(file);
+            if (!cache) return [];
+
+            return this._countTags(this._normalizeTags(this._getRawTags(cache, source)));
+        } catch (error) {
+            console.error('Error extracting tags from file:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get property badge keys (`property:value`) for a note's frontmatter properties.
+     * List properties give one key per item; `[[links]]` are shown as their link text.
+     * @param {object} file - The Obsidian file object
+     * @param {object} metadataCache - The metadata cache
+     * @param {string[]} propertyNames - Properties to read, in badge order
+     * @returns {string[]} Unique property keys
+     */
+    static extractPropertyKeys(file, metadataCache, propertyNames) {
+        const frontmatter = file && metadataCache?.getFileCache(file)?.frontmatter;
+        if (!frontmatter || propertyNames.length === 0) return [];
+
+        const keys = [];
+        propertyNames.forEach(propertyName => {
+            const value = frontmatter[propertyName];
+            if (!TagConfigManager.isSet(value)) return;
+
+            (Array.isArray(value) ? value : [value]).forEach(item => {
+                const text = String(item ?? '')
+                    .replace(/^\[\[([^\]|]+)(\|[^\]]*)?\]\]$/, '$1')
+                    .trim();
+                const key = `${propertyName}:${text}`;
+                if (text && !keys.includes(key)) {
+                    keys.push(key);
+                }
+            });
+        });
+        return keys;
+    }
+
+    /**
+     * Check if a badge key is a `property:value` key rather than a tag; tags cannot contain colons
+     * @param {string} key - Badge key
+     * @returns {boolean} True for property keys
+     */
+    static isPropertyKey(key) {
+        return key.includes(':');
+    }
+
+    /**
+     * Get raw tag values from a file cache for the given source
+     * @private
+     * @param {object} cache - The file's metadata cache entry
+     * @param {string} source - Tag source: 'frontmatter', 'inline' or 'both'
+     * @returns {string[]} Raw tags, one entry per occurrence
+     */
+    static _getRawTags(cache, source) {
+        switch (source) {
+            case 'inline':
+                return (cache.tags || []).map(tagCache => tagCache.tag);
+            case 'both':
+                return getAllTags(cache) || [];
+            default: {
+                const tags = cache.frontmatter?.tags;
+                if (!tags) return [];
+                return Array.isArray(tags) ? tags : [tags];
+            }
+        }
+    }
+
+    /**
+     * Remove duplicate tags (case-insensitively, keeping the first spelling) and count occurrences
+     * @private
+     * @param {string[]} tags - Normalized tags
+     * @returns {object[]} Array of { tag, count }
+     */
+    static _countTags(tags) {
+        const counts = new Map();
+        tags.forEach(tag => {
+            const key = tag.toLowerCase();
+            const entry = counts.get(key);
+            if (entry) {
+                entry.count++;
+            } else {
+                counts.set(key, { tag, count: 1 });
+            }
+        });
+        return Array.from(counts.values());
+    }
+
+    /**
+     * Normalize tags to array and clean them
+     * @private
+     * @param {string|string[]} tags - Raw tags from frontmatter or the tag cache
+     * @returns {string[]} Normalized tag array
+     */
+    static _normalizeTags(tags) {
+        const tagArray = Array.isArray(tags) ? tags : [tags];
+        return tagArray
+            .map(tag => String(tag).replace(/^#+/, '').trim())
+            .filter(tag => tag.length > 0);
+    }
+}
+
+/**
+ * Parser for the options written in the body of a `tag-badges` code block.
+ *
+ * Accepts `key: value` lines, YAML flow lists (`include: [a, b]`) and YAML
+ * block lists (`include:` followed by `- a` lines). Values are not run through
+ * a YAML parser so that `#tag` is not swallowed as a YAML comment. A line that
+ * is only a `[[link]]` is shorthand for `file: [[link]]`.
+ */
+class BlockOptionsParser {
+    /**
+     * Parse code block source into options
+     * @param {string} source - Code block source
+     * @param {object} [optionSchema] - Accepted options, BLOCK_OPTION_SCHEMA by default
+     * @param {object} [defaults] - Default option values, DEFAULT_BLOCK_OPTIONS by default
+     * @returns {object} Parse result with isValid, options and errors
+     */
+    static parse(source, optionSchema = BLOCK_OPTION_SCHEMA, defaults = DEFAULT_BLOCK_OPTIONS) {
+        const options = { ...defaults };
+        const errors = [];
+        const rawOptions = this._parseLines(source || '', errors);
+
+        Object.entries(rawOptions).forEach(([key, rawValue]) => {
+            const schema = optionSchema[key];
+            if (!schema) {
+                errors.push(`Unknown option "${key}"`);
+                return;
+            }
+
+            const result = this._coerceValue(key, rawValue, schema);
+            if (result.error) {
+                errors.push(result.error);
+            } else {
+                options[key] = result.value;
+            }
+        });
+
+        return { isValid: errors.length === 0, options, errors };
+    }
+
+    /**
+     * Apply filtering, sorting and limit options to a list of tags
+     * @param {string[]} tags - Tag names
+     * @param {object} options - Parsed block options
+     * @param {Map<string, number>} [counts] - Occurrences per tag, used by `sort: count`
+     * @returns {string[]} Tags to render
+     */
+    static applyToTags(tags, options, counts = new Map()) {
+        let result = tags;
+
+        if (options.include.length > 0) {
+            result = result.filter(tag => this._matchesAny(tag, options.include));
+        }
+        if (options.exclude.length > 0) {
+            result = result.filter(tag => !this._matchesAny(tag, options.exclude));
+        }
+
+        if (options.sort === 'count') {
+            result = [...result].sort((a, b) =>
+                (counts.get(b) || 0) - (counts.get(a) || 0) || a.localeCompare(b));
+        } else if (options.sort !== 'none') {
+            result = [...result].sort((a, b) => a.localeCompare(b));
+            if (options.sort === 'desc') result.reverse();
+        }
+
+        if (options.limit) {
+            result = result.slice(0, options.limit);
+        }
+
+        return result;
+    }
+
+    /**
+     * Check if a tag equals, or is a child of, any of the given tags
+     * @private
+     * @param {string} tagName - Tag name to check
+     * @param {string[]} patterns - Tag names to match against
+     * @returns {boolean} True if matched
+     */
+    static _matchesAny(tagName, patterns) {
+        const tag = tagName.toLowerCase();
+        return patterns.some(pattern => {
+            const parent = pattern.toLowerCase();
+            return tag === parent || tag.startsWith(parent + '/');
+        });
+    }
+
+    /**
+     * Split source into raw option values keyed by option name
+     * @private
+     * @param {string} source - Code block source
+     * @param {string[]} errors - Array to collect errors in
+     * @returns {object} Raw values; strings, or arrays for block lists
+     */
+    static _parseLines(source, errors) {
+        const rawOptions = {};
+        let listKey = null;
+
+        source.split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            // `# comment` lines are skipped; a #tag has no space after the #
+            if (!trimmed || /^#(\s|$)/.test(trimmed)) return;
+
+            const lineNumber = index + 1;
+            const listItem = trimmed.match(/^-\s*(.*)$/);
+            if (listItem) {
+                if (listKey) {
+                    rawOptions[listKey].push(listItem[1]);
+                } else {
+                    errors.push(`Line ${lineNumber}: list item without an option name`);
+                }
+                return;
+            }
+
+            if (/^\[\[[^\]]+\]\]$/.test(trimmed)) {
+                if ('file' in rawOptions) {
+                    errors.push(`Line ${lineNumber}: option "file" is set more than once`);
+                }
+                rawOptions.file = trimmed;
+                listKey = null;
+                return;
+            }
+
+            const pair = trimmed.match(/^([A-Za-z][\w-]*)\s*:\s*(.*)$/);
+            if (!pair) {
+                errors.push(`Line ${lineNumber}: expected "option: value"`);
+                listKey = null;
+                return;
+            }
+
+            const key = pair[1].toLowerCase();
+            const value = pair[2].trim();
+            if (key in rawOptions) {
+                errors.push(`Line ${lineNumber}: option "${key}" is set more than once`);
+            }
+
+            if (value) {
+                rawOptions[key] = value;
+                listKey = null;
+            } else {
+                rawOptions[key] = [];
+                listKey = key;
+            }
+        });
+
+        return rawOptions;
+    }
+
+    /**
+     * Convert a raw value to the type required by the option schema
+     * @private
+     * @param {string} key - Option name
+     * @param {string|string[]} rawValue - Raw value
+     * @param {object} schema - Option schema
+     * @returns {object} Result with either value or error
+     */
+    static _coerceValue(key, rawValue, schema) {
+        if (schema.type === 'list') {
+            return { value: this._toList(rawValue) };
+        }
+
+        if (Array.isArray(rawValue)) {
+            return rawValue.length === 1
+                ? this._coerceValue(key, rawValue[0], schema)
+                : { error: `Option "${key}" expects a single value` };
+        }
+
+        const value = this._unquote(rawValue);
+
+        switch (schema.type) {
+            case 'enum': {
+                const normalized = value.toLowerCase();
+                return schema.values.includes(normalized)
+                    ? { value: normalized }
+                    : { error: `Option "${key}" must be one of: ${schema.values.join(', ')} (got "${value}")` };
+            }
+            case 'boolean': {
+                const normalized = value.toLowerCase();
+                if (['true', 'yes', 'on'].includes(normalized)) return { value: true };
+                if (['false', 'no', 'off'].includes(normalized)) return { value: false };
+                return { error: `Option "${key}" must be true or false (got "${value}")` };
+            }
+            case 'integer': {
+                const number = Number(value);
+                return /^\d+$/.test(value) && number >= schema.min
+                    ? { value: number }
+                    : { error: `Option "${key}" must be a whole number of at least ${schema.min} (got "${value}")` };
+            }
+            default:
+                return { value };
+        }
+    }
+
+    /**
+     * Convert a raw value to a list of tag names
+     * @private
+     * @param {string|string[]} rawValue - Comma separated string, flow list or block list
+     * @returns {string[]} Cleaned tag names
+     */
+    static _toList(rawValue) {
+        let items = rawValue;
+        if (!Array.isArray(items)) {
+            const flowList = items.match(/^\[(.*)\]$/);
+            items = (flowList ? flowList[1] : items).split(',');
+        }
+
+        return items
+            .map(item => this._unquote(item.trim()).replace(/^#+/, '').trim())
+            .filter(item => item.length > 0);
+    }
+
+    /**
+     * Strip matching surrounding quotes from a value
+     * @private
+     * @param {string} value - Raw value
+     * @returns {string} Unquoted value
+     */
+    static _unquote(value) {
+        const quoted = value.match(/^(["'])(.*)\1$/);
+        return quoted ? quoted[2] : value;
+    }
+}
+
+/**
+ * Collects the notes matched by a `tag-badges-query` block and counts their tags
+ */
+class TagQuery {
+    /**
+     * Find the notes a query's folder, path and links-to options match; unset options match every note
+     * @param {object} app - Obsidian app instance
+     * @param {object} options - Parsed query options
+     * @param {string} sourcePath - Path of the note containing the block
+     * @returns {object} Result with files (TFile[]) and optional error
+     */
+    static collectFiles(app, options, sourcePath) {
+        let files = app.vault.getMarkdownFiles();
+
+        if (options.folder) {
+            const folder = options.folder.replace(/^\/+|\/+$/g, '');
+            files = files.filter(file => folder === '' || file.path.startsWith(`${folder}/`));
+        }
+
+        if (options.path) {
+            const pathFilter = options.path.toLowerCase();
+            files = files.filter(file => file.path.toLowerCase().includes(pathFilter));
+        }
+
+        if (options['links-to']) {
+            const target = this._resolveLinkTarget(app, options['links-to'], sourcePath);
+            if (!target) {
+                return { files: [], error: `Note not found: ${options['links-to']}` };
+            }
+            const { resolvedLinks } = app.metadataCache;
+            files = files.filter(file => resolvedLinks[file.path]?.[target.path]);
+        }
+
+        return { files };
+    }
+
+    /**
+     * Count, per tag, how many of the given notes have it. Tags are merged case-insensitively,
+     * keeping the first spelling seen.
+     * @param {TFile[]} files - Notes to count tags in
+     * @param {object} metadataCache - The metadata cache
+     * @param {string} source - Tag source: 'frontmatter', 'inline' or 'both'
+     * @param {string[]} [propertyNames] - Properties whose values are counted as `property:value` badges
+     * @returns {Map<string, number>} Number of notes per tag or property value
+     */
+    static countTags(files, metadataCache, source, propertyNames = []) {
+        const spellings = new Map();
+        const counts = new Map();
+
+        files.forEach(file => {
+            [
+                ...FrontmatterParser.extractTags(file, metadataCache, source),
+                ...FrontmatterParser.extractPropertyKeys(file, metadataCache, propertyNames)
+            ].forEach(tag => {
+                const key = tag.toLowerCase();
+                if (!spellings.has(key)) {
+                    spellings.set(key, tag);
+                }
+                const spelling = spellings.get(key);
+                counts.set(spelling, (counts.get(spelling) || 0) + 1);
+            });
+        });
+
+        return counts;
+    }
+
+    /**
+     * Resolve the links-to option, where `this` means the note containing the block
+     * @private
+     * @param {object} app - Obsidian app instance
+     * @param {string} value - `this` or a `[[link]]` or path
+     * @param {string} sourcePath - Path of the note containing the block
+     * @returns {TFile|null} Target note
+     */
+    static _resolveLinkTarget(app, value, sourcePath) {
+        if (value.toLowerCase() === 'this') {
+            const file = app.vault.getAbstractFileByPath(sourcePath);
+            return file instanceof TFile ? file : null;
+        }
+
+        const linkpath = value
+            .replace(/^\[\[|\]\]$/g, '')
+            .split('|')[0]
+            .split('#')[0]
+            .trim();
+        return app.metadataCache.getFirstLinkpathDest(linkpath, sourcePath);
+    }
+}
+
+/**
+ * Utility class for common form operations
+ */
+class FormUtils {
+    /**
+     * Create a theme-aware colour setting
+     * @param {HTMLElement} container - Container element
+     * @param {string} label - Setting label
+     * @param {string} description - Setting description
+     * @param {string|object} value - Initial colour
+     * @param {Function} onChange - Change handler
+     * @param {object} [options] - ThemeColorInput options
+     * @returns {ThemeColorInput} Colour input
+     */
+    static createThemeColorSetting(container, label, description, value, onChange, options = {}) {
+        const row = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.MODAL_ROW });
+        row.createDiv({ text: label, cls: CONSTANTS.CSS_CLASSES.MODAL_LABEL });
+
+        const input = new ThemeColorInput(row, value, options);
+        if (description) {
+            input.containerEl.title = description;
+        }
+
+        input.addEventListener('input', onChange);
+        return input;
+    }
+
+    /**
+     * Create a text input setting
+     * @param {HTMLElement} container - Container element
+     * @param {string} label - Setting label
+     * @param {string} placeholder - Input placeholder
+     * @param {string} value - Initial value
+     * @param {Function} onChange - Change handler
+     * @returns {HTMLElement} Input element
+     */
+    static createTextSetting(container, label, placeholder, value, onChange) {
+        const row = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.MODAL_ROW });
+        row.createDiv({ text: label, cls: CONSTANTS.CSS_CLASSES.MODAL_LABEL });
+        
+        const input = row.createEl('input', {
+            type: 'text',
+            placeholder: placeholder,
+            value: value || '',
+            cls: CONSTANTS.CSS_CLASSES.MODAL_INPUT
+        });
+
+        input.addEventListener('input', onChange);
+        return input;
+    }
+
+    /**
+     * Create a dropdown setting
+     * @param {HTMLElement} container - Container element
+     * @param {string} label - Setting label
+     * @param {object} options - Option labels keyed by value
+     * @param {string} value - Initial value
+     * @param {Function} onChange - Change handler
+     * @returns {HTMLElement} Select element
+     */
+    static createSelectSetting(container, label, options, value, onChange) {
+        const row = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.MODAL_ROW });
+        row.createDiv({ text: label, cls: CONSTANTS.CSS_CLASSES.MODAL_LABEL });
+
+        const select = row.createEl('select', { cls: CONSTANTS.CSS_CLASSES.MODAL_INPUT });
+        Object.entries(options).forEach(([optionValue, optionLabel]) => {
+            select.createEl('option', { value: optionValue, text: optionLabel });
+        });
+        select.value = value ?? '';
+
+        select.addEventListener('input', onChange);
+        return select;
+    }
+
+    /**
+     * Create a number input setting
+     * @param {HTMLElement} container - Container element
+     * @param {string} label - Setting label
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @param {number} value - Initial value
+     * @param {Function} onChange - Change handler
+     * @returns {HTMLElement} Input element
+     */
+    static createNumberSetting(container, label, min, max, value, onChange) {
+        const row = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.MODAL_ROW });
+        row.createDiv({ text: label, cls: CONSTANTS.CSS_CLASSES.MODAL_LABEL });
+
+        const input = row.createEl('input', {
+            type: 'number',
+            value: String(value ?? min),
+            cls: CONSTANTS.CSS_CLASSES.MODAL_INPUT
+        });
+        input.min = String(min);
+        input.max = String(max);
+
+        input.addEventListener('input', onChange);
+        return input;
+    }
+
+    /**
+     * Validate tag name input
+     * @param {string} tagName - The tag name to validate
+     * @returns {object} Validation result with isValid and message
+     */
+    static validateTagName(tagName) {
+        if (!tagName?.trim()) {
+            return { isValid: false, message: 'Tag name cannot be empty' };
+        }
+
+        const cleanTagName = tagName.trim().replace(/^#+/, '');
+        
+        if (!cleanTagName) {
+            return { isValid: false, message: 'Tag name cannot be empty' };
+        }
+
+        // Property values may contain spaces, tags may not
+        if (cleanTagName.includes(' ') && !FrontmatterParser.isPropertyKey(cleanTagName)) {
+            return { isValid: false, message: 'Tag names cannot contain spaces' };
+        }
+
+        if (cleanTagName.includes('\n') || cleanTagName.includes('\t')) {
+            return { isValid: false, message: 'Tag names cannot contain line breaks or tabs' };
+        }
+
+        return { isValid: true, tagName: cleanTagName };
+    }
+
+    /**
+     * Validate a pattern rule
+     * @param {string} type - 'glob' or 'regex'
+     * @param {string} pattern - The pattern to validate
+     * @returns {object} Validation result with isValid and message
+     */
+    static validateRulePattern(type, pattern) {
+        const cleanPattern = pattern?.trim();
+        if (!cleanPattern) {
+            return { isValid: false, message: 'Pattern cannot be empty' };
+        }
+
+        if (!TagConfigManager.compileRulePattern(type, cleanPattern)) {
+            return { isValid: false, message: `Invalid ${type} pattern` };
+        }
+
+        return { isValid: true, pattern: cleanPattern };
+    }
+
+    /**
+     * Generate a short unique id
+     * @returns {string} Id
+     */
+    static generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    /**
+     * Debounce a function call
+     * @param {Function} func - Function to debounce
+     * @param {number} delay - Delay in milliseconds
+     * @returns {Function} Debounced function, with a cancel() method dropping a pending call
+     */
+    static debounce(func, delay) {
+        let timeoutId;
+        const debounced = function (...args) {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => func.apply(this, args), delay);
+        };
+        debounced.cancel = () => clearTimeout(timeoutId);
+        return debounced;
+    }
+}
+
+/**
+ * Colour input choosing between a single colour, light and dark colours, a CSS variable
+ * and, for optional colours, none. Mirrors the `value`, `disabled` and event API of an
+ * input element, so it can be used wherever the config forms use plain inputs.
+ */
+class ThemeColorInput {
+    /**
+     * @param {HTMLElement} container - Element to add the input to
+     * @param {string|object} value - Initial colour
+     * @param {object} [options] - Input options
+     * @param {boolean} [options.optional] - Whether "no colour" can be chosen
+     * @param {boolean} [options.allowAuto] - Whether black or white can be picked automatically
+     */
+    constructor(container, value, { optional = false, allowAuto = false } = {}) {
+        this.parentElement = container;
+        this.containerEl = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.THEME_COLOR_INPUT });
+
+        const modes = {
+            ...(optional && { none: 'None' }),
+            ...(allowAuto && { auto: 'Auto (black or white)' }),
+            single: 'Color',
+            theme: 'Light / dark',
+            variable: 'CSS variable'
+        };
+        this.modeSelect = this.containerEl.createEl('select', { cls: 'dropdown' });
+        Object.entries(modes).forEach(([mode, label]) => {
+            this.modeSelect.createEl('option', { value: mode, text: label });
+        });
+
+        this.lightInput = this.containerEl.createEl('input', { type: 'color' });
+        this.lightInput.title = 'Light theme color';
+        this.darkInput = this.containerEl.createEl('input', { type: 'color' });
+        this.darkInput.title = 'Dark theme color';
+        this.variableInput = this.containerEl.createEl('input', { type: 'text', placeholder: '--color-red' });
+
+        // Switching mode changes the value, so let listeners know
+        this.modeSelect.addEventListener('change', () => {
+            this._updateVisibility();
+            this.dispatchEvent(new Event('input'));
+        });
+
+        this.value = value;
+    }
+
+    /**
+     * The colour as stored in configurations
+     * @type {string|object}
+     */
+    get value() {
+        switch (this.modeSelect.value) {
+            case 'none':
+                return '';
+            case 'auto':
+                return CONSTANTS.AUTO_TEXT_COLOR;
+            case 'theme':
+                return { light: this.lightInput.value, dark: this.darkInput.value };
+            case 'variable':
+                return ThemeColor.normalizeVariable(this.variableInput.value);
+            default:
+                return this.lightInput.value;
+        }
+    }
+
+    set value(value) {
+        if (value === CONSTANTS.AUTO_TEXT_COLOR && this.modeSelect.querySelector('option[value="auto"]')) {
+            this.modeSelect.value = 'auto';
+        } else if (ThemeColor.isThemePair(value)) {
+            this.modeSelect.value = 'theme';
+            this._setColorInputs(value.light, value.dark);
+        } else if (ThemeColor.isVariable(value)) {
+            this.modeSelect.value = 'variable';
+            this.variableInput.value = value;
+        } else if (!value && this.modeSelect.querySelector('option[value="none"]')) {
+            this.modeSelect.value = 'none';
+        } else {
+            this.modeSelect.value = 'single';
+            this._setColorInputs(value, value);
+        }
+        this._updateVisibility();
+    }
+
+    /**
+     * Whether the input is disabled
+     * @type {boolean}
+     */
+    get disabled() {
+        return this.modeSelect.disabled;
+    }
+
+    set disabled(disabled) {
+        [this.modeSelect, this.lightInput, this.darkInput, this.variableInput].forEach(el => {
+            el.disabled = disabled;
+        });
+    }
+
+    /**
+     * Listen for events from any part of the input
+     * @param {string} type - Event type
+     * @param {Function} listener - Event listener
+     */
+    addEventListener(type, listener) {
+        this.containerEl.addEventListener(type, listener);
+    }
+
+    /**
+     * Dispatch an event as if it came from the input
+     * @param {Event} event - Event to dispatch
+     * @returns {boolean} False if the event was cancelled
+     */
+    dispatchEvent(event) {
+        return this.containerEl.dispatchEvent(event);
+    }
+
+    /**
+     * Fill the colour pickers, which only accept #rrggbb values
+     * @private
+     * @param {string} light - Light theme colour
+     * @param {string} dark - Dark theme colour
+     */
+    _setColorInputs(light, dark) {
+        const toPickerValue = color => {
+            if (!SettingsValidator.isHexColor(color)) return '#000000';
+            return color.length === 4
+                ? '#' + color.slice(1).split('').map(digit => digit + digit).join('')
+                : color;
+        };
+        this.lightInput.value = toPickerValue(light);
+        this.darkInput.value = toPickerValue(dark);
+    }
+
+    /**
+     * Show the inputs used by the current mode
+     * @private
+     */
+    _updateVisibility() {
+        const mode = this.modeSelect.value;
+        this.lightInput.toggle(mode === 'single' || mode === 'theme');
+        this.darkInput.toggle(mode === 'theme');
+        this.variableInput.toggle(mode === 'variable');
+    }
+}
+
+/**
+ * Editable list of conditional styles: each row picks a frontmatter property, an operator,
+ * a value and the background, text colour and opacity to use when the condition holds
+ */
+class ConditionListEditor {
+    /**
+     * @param {HTMLElement} container - Element to add the list to
+     * @param {object[]} conditions - Initial conditions
+     */
+    constructor(container, conditions) {
+        this.rows = [];
+        this.listEl = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.CONDITION_LIST });
+        conditions.forEach(condition => this._addRow(condition));
+
+        const addButton = container.createEl('button', { text: 'Add condition' });
+        addButton.onclick = () => this._addRow({ property: '', operator: 'equals', value: '', style: {} });
+    }
+
+    /**
+     * The conditions as stored in configurations; rows without a property are left out
+     * @type {object[]}
+     */
+    get conditions() {
+        return this.rows
+            .filter(row => row.propertyInput.value.trim())
+            .map(row => {
+                const condition = {
+                    property: row.propertyInput.value.trim(),
+                    operator: row.operatorSelect.value
+                };
+                if (ConditionEvaluator.VALUE_OPERATORS.includes(condition.operator)) {
+                    condition.value = row.valueInput.value.trim();
+                }
+
+                const style = { ...row.otherStyle };
+                if (row.backgroundInput.value) style.backgroundColor = row.backgroundInput.value;
+                if (row.textInput.value) style.textColor = row.textInput.value;
+                if (row.opacityInput.value !== '') {
+                    style.opacity = Math.min(1, Math.max(0, Number(row.opacityInput.value)));
+                }
+                condition.style = style;
+                return condition;
+            });
+    }
+
+    /**
+     * Add a row for a condition
+     * @private
+     * @param {object} condition - Condition to edit
+     */
+    _addRow(condition) {
+        const rowEl = this.listEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.CONDITION_ROW });
+        const row = { rowEl };
+
+        const whenEl = rowEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.MODAL_ROW });
+        whenEl.createSpan({ text: 'If' });
+        row.propertyInput = whenEl.createEl('input', { type: 'text', placeholder: 'status', value: condition.property });
+        row.operatorSelect = whenEl.createEl('select', { cls: 'dropdown' });
+        Object.entries(CONSTANTS.CONDITION_OPERATORS).forEach(([operator, label]) => {
+            row.operatorSelect.createEl('option', { value: operator, text: label });
+        });
+        row.operatorSelect.value = condition.operator;
+        row.valueInput = whenEl.createEl('input', {
+            type: 'text', placeholder: 'done', value: String(condition.value ?? '')
+        });
+        const updateValueVisibility = () => {
+            row.valueInput.toggle(ConditionEvaluator.VALUE_OPERATORS.includes(row.operatorSelect.value));
+        };
+        row.operatorSelect.addEventListener('change', updateValueVisibility);
+        updateValueVisibility();
+
+        const removeButton = whenEl.createEl('button', { text: '×' });
+        removeButton.setAttribute('aria-label', 'Remove condition');
+        removeButton.onclick = () => {
+            rowEl.remove();
+            this.rows.splice(this.rows.indexOf(row), 1);
+        };
+
+        const style = condition.style || {};
+        // Style fields the row has no input for, such as from an import, are kept as they are
+        const { backgroundColor, textColor, opacity, ...otherStyle } = style;
+        row.otherStyle = otherStyle;
+        const thenEl = rowEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.MODAL_ROW });
+        thenEl.createSpan({ text: 'Then' });
+        row.backgroundInput = new ThemeColorInput(thenEl, backgroundColor ?? '', { optional: true });
+        row.backgroundInput.containerEl.title = 'Background color';
+        row.textInput = new ThemeColorInput(thenEl, textColor ?? '', { optional: true, allowAuto: true });
+        row.textInput.containerEl.title = 'Text color';
+        row.opacityInput = thenEl.createEl('input', {
+            type: 'number', placeholder: 'Opacity', value: String(opacity ?? '')
+        });
+        Object.assign(row.opacityInput, { min: '0', max: '1', step: '0.1' });
+
+        this.rows.push(row);
+    }
+}
+
+/**
+ * Validation shared by settings loading and configuration imports
+ */
+class SettingsValidator {
+    /**
+     * Per-property checks for tag configurations; properties not listed are kept as they are
+     */
+    static FIELD_VALIDATORS = {
+        icon: value => typeof value === 'string',
+        textColor: value => value === CONSTANTS.AUTO_TEXT_COLOR || ThemeColor.isValid(value),
+        backgroundColor: value => ThemeColor.isValid(value),
+        alias: value => typeof value === 'string',
+        shape: value => value in CONSTANTS.BADGE_SHAPES,
+        size: value => value in CONSTANTS.BADGE_SIZES,
+        fontWeight: value => String(value) in CONSTANTS.FONT_WEIGHTS,
+        borderColor: value => ThemeColor.isValid(value),
+        borderWidth: value => Number.isInteger(value) && value >= 0 && value <= CONSTANTS.MAX_BORDER_WIDTH,
+        gradientColor: value => value === '' || ThemeColor.isValid(value),
+        description: value => typeof value === 'string',
+        conditions: value => Array.isArray(value) && value.every(condition => SettingsValidator.isValidCondition(condition))
+    };
+
+    /**
+     * Check if a value is a usable conditional style
+     * @param {*} condition - Value to check
+     * @returns {boolean} True if valid
+     */
+    static isValidCondition(condition) {
+        if (!this.isValidTagConfig(condition) || !this.isValidTagConfig(condition.style)) return false;
+        if (typeof condition.property !== 'string' || !condition.property.trim()) return false;
+        if (!(condition.operator in CONSTANTS.CONDITION_OPERATORS)) return false;
+        if (TagConfigManager.isSet(condition.value) && !['string', 'number'].includes(typeof condition.value)) return false;
+
+        return Object.entries(condition.style).every(([field, value]) => {
+            if (field === 'opacity') {
+                return typeof value === 'number' && value >= 0 && value <= 1;
+            }
+            const validator = this.FIELD_VALIDATORS[field];
+            return field !== 'conditions' && Boolean(validator) && validator(value);
+        });
+    }
+
+    /**
+     * Check if a value is a #rgb or #rrggbb colour
+     * @param {*} value - Value to check
+     * @returns {boolean} True if valid
+     */
+    static isHexColor(value) {
+        return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+    }
+
+    /**
+     * Copy a configuration without its invalid properties, so they inherit instead
+     * @param {object} config - Configuration to clean
+     * @param {string} label - Name of the configuration, used in problem descriptions
+     * @param {string[]} problems - Array to collect problem descriptions in
+     * @returns {object} Cleaned configuration
+     */
+    static sanitizeConfig(config, label, problems) {
+        const cleanConfig = {};
+        Object.entries(config).forEach(([field, value]) => {
+            const validator = this.FIELD_VALIDATORS[field];
+            if (TagConfigManager.isSet(value) && validator && !validator(value)) {
+                problems.push(`${label}: invalid ${field} ${JSON.stringify(value)} was removed`);
+                return;
             }
-            
-            .${CONSTANTS.CSS_CLASSES.BADGE}:focus-visible {
-                box-shadow: 0 0 0 2px var(--accent-color);
+            cleanConfig[field] = value;
+        });
+        return cleanConfig;
+    }
+
+    /**
+     * Check if a value is a usable tag configuration
+     * @param {*} config - Value to check
+     * @returns {boolean} True if valid
+     */
+    static isValidTagConfig(config) {
+        return Boolean(config) && typeof config === 'object' && !Array.isArray(config);
+    }
+
+    /**
+     * Check if a value is a usable pattern rule
+     * @param {*} rule - Value to check
+     * @returns {boolean} True if valid
+     */
+    static isValidRule(rule) {
+        return Boolean(rule) && typeof rule === 'object' &&
+            typeof rule.id === 'string' &&
+            CONSTANTS.RULE_TYPES.includes(rule.type) &&
+            typeof rule.pattern === 'string' &&
+            this.isValidTagConfig(rule.config);
+    }
+}
+
+/**
+ * Runs settings migrations in version order
+ */
+class SettingsMigrator {
+    /**
+     * Upgrade stored settings in place to the current settings version
+     * @param {object} settings - Stored settings; unversioned settings count as version 0
+     * @returns {number[]} Versions of the migrations that were applied
+     */
+    static migrate(settings) {
+        const fromVersion = Number.isInteger(settings.settingsVersion) ? settings.settingsVersion : 0;
+        if (fromVersion > CONSTANTS.SETTINGS_VERSION) {
+            console.warn(`Tag Badges settings version ${fromVersion} is newer than this plugin supports`);
+        }
+
+        const pending = SETTINGS_MIGRATIONS
+            .filter(migration => migration.version > fromVersion)
+            .sort((a, b) => a.version - b.version);
+
+        pending.forEach(migration => {
+            migration.migrate(settings);
+            settings.settingsVersion = migration.version;
+        });
+
+        return pending.map(migration => migration.version);
+    }
+}
+
+/**
+ * Serializes tag style configurations to JSON or YAML and parses them back
+ */
+class ConfigTransfer {
+    /**
+     * Serialize configurations for export
+     * @param {object} settings - Plugin settings
+     * @param {string[]} tagNames - Tags whose configurations to export
+     * @param {object} options - Export options
+     * @param {boolean} options.includeRules - Whether to export pattern rules
+     * @param {string} options.format - 'json' or 'yaml'
+     * @returns {string} Serialized configurations
+     */
+    static serialize(settings, tagNames, { includeRules, format }) {
+        const data = {
+            tagBadgesExport: CONSTANTS.EXPORT_FORMAT_VERSION,
+            tagConfigs: {}
+        };
+        tagNames.forEach(tagName => {
+            if (settings.tagConfigs[tagName]) {
+                data.tagConfigs[tagName] = { ...settings.tagConfigs[tagName] };
+            }
+        });
+        if (includeRules) {
+            data.tagRules = settings.tagRules.map(rule => ({ ...rule, config: { ...rule.config } }));
+        }
+
+        return format === 'yaml' ? stringifyYaml(data) : JSON.stringify(data, null, 2);
+    }
+
+    /**
+     * Parse exported configurations, dropping invalid entries
+     * @param {string} text - JSON or YAML text
+     * @returns {object} Result with tagConfigs, tagRules and errors
+     */
+    static parse(text) {
+        const result = { tagConfigs: {}, tagRules: [], errors: [] };
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (jsonError) {
+            try {
+                data = parseYaml(text);
+            } catch (yamlError) {
+                result.errors.push('Not valid JSON or YAML');
+                return result;
+            }
+        }
+
+        if (!data || typeof data !== 'object' || !SettingsValidator.isValidTagConfig(data.tagConfigs)) {
+            result.errors.push('No "tagConfigs" section found');
+            return result;
+        }
+
+        Object.entries(data.tagConfigs).forEach(([rawTagName, config]) => {
+            const validation = FormUtils.validateTagName(rawTagName);
+            if (!validation.isValid) {
+                result.errors.push(`Skipped "${rawTagName}": ${validation.message}`);
+            } else if (!SettingsValidator.isValidTagConfig(config)) {
+                result.errors.push(`Skipped #${validation.tagName}: invalid configuration`);
+            } else {
+                result.tagConfigs[validation.tagName] = SettingsValidator.sanitizeConfig(
+                    config, `#${validation.tagName}`, result.errors
+                );
             }
-            
-            .${CONSTANTS.CSS_CLASSES.BADGE_ICON} {
-                display: inline-flex;
-                align-items: center;
-                width: ${CONSTANTS.ICON_SIZE}px;
-                height: ${CONSTANTS.ICON_SIZE}px;
-                flex-shrink: 0;
+        });
+
+        (Array.isArray(data.tagRules) ? data.tagRules : []).forEach(rule => {
+            if (!SettingsValidator.isValidRule(rule) ||
+                !FormUtils.validateRulePattern(rule.type, rule.pattern).isValid) {
+                result.errors.push(`Skipped rule "${rule?.pattern}": invalid rule`);
+            } else {
+                result.tagRules.push({
+                    ...rule,
+                    config: SettingsValidator.sanitizeConfig(rule.config, `Rule "${rule.pattern}"`, result.errors)
+                });
             }
-            
-            .${CONSTANTS.CSS_CLASSES.BADGE_ICON} svg {
-                width: ${CONSTANTS.ICON_SIZE}px;
-                height: ${CONSTANTS.ICON_SIZE}px;
+        });
+
+        return result;
+    }
+
+    /**
+     * Write text to a vault file, replacing it if it exists
+     * @param {object} app - Obsidian app instance
+     * @param {string} path - Vault path
+     * @param {string} text - File content
+     */
+    static async writeToVault(app, path, text) {
+        const existing = app.vault.getAbstractFileByPath(path);
+        if (existing instanceof TFile) {
+            await app.vault.modify(existing, text);
+        } else {
+            await app.vault.create(path, text);
+        }
+    }
+}
+
+/**
+ * Configuration modal for tag settings
+ */
+class TagConfigModal extends Modal {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {TagBadgesPlugin} plugin - Plugin instance
+     * @param {string} tagName - Tag name to configure
+     */
+    constructor(app, plugin, tagName) {
+        super(app);
+        this.plugin = plugin;
+        this.originalTagName = tagName;
+        this.tagName = tagName;
+        this.configManager = plugin.configManager;
+        this.ownConfig = plugin.settings.tagConfigs[tagName] || {};
+        this.inherited = this.configManager.resolveTagConfig(tagName, { skipSelf: true });
+        this.targetLabel = 'Target Tag:';
+        this.targetPlaceholder = 'Enter tag name';
+        this.formInputs = {};
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        
+        this._createHeader(contentEl);
+        this._createInheritanceInfo(contentEl);
+        
+        const inputs = this._createFormInputs(contentEl);
+        contentEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.CONFIG_SEPARATOR });
+        this._createConditionSection(contentEl, inputs);
+        this._createDescriptionSection(contentEl, inputs);
+        contentEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.CONFIG_SEPARATOR });
+        const preview = this._createPreviewSection(contentEl);
+        
+        this._setupLivePreview(inputs, preview);
+        this._createActionButtons(contentEl, inputs);
+        this._updatePreview(inputs, preview);
+    }
+
+    /**
+     * Create modal header
+     * @private
+     * @param {HTMLElement} contentEl - Content element
+     */
+    _createHeader(contentEl) {
+        const inheritanceSource = this.configManager.getInheritanceSource(this.tagName);
+        const headerText = inheritanceSource 
+            ? `Configure ${TagConfigManager.formatKey(this.tagName)} ` +
+                `(inherits from ${TagConfigManager.describeSource(inheritanceSource)})`
+            : `Configure ${TagConfigManager.formatKey(this.tagName)}`;
+        
+        contentEl.createEl('h5', { text: headerText });
+    }
+
+    /**
+     * Create inheritance information section
+     * @private
+     * @param {HTMLElement} contentEl - Content element
+     */
+    _createInheritanceInfo(contentEl) {
+        const inheritanceSource = this.configManager.getInheritanceSource(this.tagName);
+        if (!inheritanceSource) return;
+
+        const inheritanceInfo = contentEl.createDiv({ 
+            cls: CONSTANTS.CSS_CLASSES.INHERITANCE_INFO 
+        });
+        inheritanceInfo.createEl('strong', { text: 'Inheritance:' });
+        inheritanceInfo.appendText(' This tag currently inherits its style from ');
+        inheritanceInfo.createEl('code', { text: TagConfigManager.describeSource(inheritanceSource) });
+        inheritanceInfo.appendText('. Properties you set here override the inherited values; ' +
+            'properties left on "Inherit" keep following it.');
+    }
+
+    /**
+     * Create form input elements
+     * @private
+     * @param {HTMLElement} contentEl - Content element
+     * @returns {object} Object containing all input elements
+     */
+    _createFormInputs(contentEl) {
+        const inputs = {};
+
+        // Tag name input
+        inputs.tagNameInput = FormUtils.createTextSetting(
+            contentEl, this.targetLabel, this.targetPlaceholder, this.tagName,
+            () => this._onTagNameChange(inputs)
+        );
+
+        // Style selector
+        inputs.useStyleSelect = this._createStyleSelector(contentEl);
+
+        contentEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.CONFIG_SEPARATOR });
+
+        // Property inputs, each with its own inherit toggle
+        inputs.fields = {};
+        inputs.inheritToggles = {};
+        CONFIG_FIELDS.forEach(field => this._createFieldInput(contentEl, inputs, field));
+
+        this.formInputs = inputs;
+        return inputs;
+    }
+
+    /**
+     * Create the input and inherit toggle for a configuration property
+     * @private
+     * @param {HTMLElement} contentEl - Content element
+     * @param {object} inputs - Form inputs to add to
+     * @param {object} field - Field definition from CONFIG_FIELDS
+     */
+    _createFieldInput(contentEl, inputs, field) {
+        const isOwn = TagConfigManager.isSet(this.ownConfig[field.key]);
+        const value = isOwn ? this.ownConfig[field.key] : this.inherited.config[field.key];
+
+        const onChange = () => {}; // Will be handled by live preview
+        let input;
+        if (field.type === 'color') {
+            input = FormUtils.createThemeColorSetting(
+                contentEl, field.label, field.description, value, onChange,
+                { optional: field.optional, allowAuto: field.allowAuto }
+            );
+        } else if (field.type === 'select') {
+            input = FormUtils.createSelectSetting(contentEl, field.label, field.options, value, onChange);
+        } else if (field.type === 'number') {
+            input = FormUtils.createNumberSetting(contentEl, field.label, field.min, field.max, value, onChange);
+        } else {
+            const placeholder = field.key === 'alias' ? this.tagName : field.placeholder;
+            input = FormUtils.createTextSetting(contentEl, field.label, placeholder, value, onChange);
+        }
+
+        inputs.fields[field.key] = input;
+        inputs.inheritToggles[field.key] = this._createInheritToggle(input, field, !isOwn);
+
+        if (field.type === 'icon') {
+            this._createIconPickButton(input, inputs.inheritToggles[field.key]);
+        }
+    }
+
+    /**
+     * Create the conditional styles editor, noting when conditions are inherited
+     * @private
+     * @param {HTMLElement} contentEl - Content element
+     * @param {object} inputs - Form inputs to add the editor to
+     */
+    _createConditionSection(contentEl, inputs) {
+        contentEl.createEl('h6', { text: 'Conditional styles' });
+        const info = contentEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.INHERITANCE_INFO });
+        info.appendText('Override colors or fade the badge depending on the properties of the note it appears in. ' +
+            'Later conditions win when several match.');
+
+        const inheritedConditions = this.inherited.config.conditions;
+        if (!this.ownConfig.conditions && inheritedConditions?.length) {
+            info.appendText(` Currently inheriting ${inheritedConditions.length} condition(s) from `);
+            info.createEl('code', {
+                text: TagConfigManager.describeSource(this.inherited.sources.conditions)
+            });
+            info.appendText('; adding conditions here replaces them.');
+        }
+
+        inputs.conditionEditor = new ConditionListEditor(contentEl, this.ownConfig.conditions || []);
+    }
+
+    /**
+     * Create the description input; descriptions belong to the tag and are not inherited
+     * @private
+     * @param {HTMLElement} contentEl - Content element
+     * @param {object} inputs - Form inputs to add the input to
+     */
+    _createDescriptionSection(contentEl, inputs) {
+        contentEl.createEl('h6', { text: 'Description' });
+        inputs.descriptionInput = contentEl.createEl('textarea', {
+            cls: CONSTANTS.CSS_CLASSES.DESCRIPTION_INPUT,
+            placeholder: 'Markdown shown when hovering the badge'
+        });
+        inputs.descriptionInput.value = this.ownConfig.description || '';
+    }
+
+    /**
+     * Add a button opening the icon picker next to an icon input
+     * @private
+     * @param {HTMLElement} input - Icon input element
+     * @param {HTMLInputElement} inheritToggle - The input's inherit checkbox
+     */
+    _createIconPickButton(input, inheritToggle) {
+        const button = createEl('button', { cls: CONSTANTS.CSS_CLASSES.ICON_PICK_BUTTON });
+        IconRenderer.renderIcon(button, 'search');
+        button.setAttribute('aria-label', 'Choose icon');
+        input.after(button);
+
+        button.onclick = () => {
+            new IconPickerModal(this.app, this.plugin, (iconName) => {
+                inheritToggle.checked = false;
+                input.disabled = false;
+                input.value = iconName;
+                input.dispatchEvent(new Event('input'));
+            }).open();
+        };
+    }
+
+    /**
+     * Add an inherit checkbox to a property row, naming the source of the inherited value
+     * @private
+     * @param {HTMLElement} input - Property input element
+     * @param {object} field - Field definition from CONFIG_FIELDS
+     * @param {boolean} inherit - Whether the property is currently inherited
+     * @returns {HTMLInputElement} Checkbox element
+     */
+    _createInheritToggle(input, field, inherit) {
+        const source = TagConfigManager.describeSource(this.inherited.sources[field.key]);
+        const toggleLabel = input.parentElement.createEl('label', {
+            cls: CONSTANTS.CSS_CLASSES.INHERIT_TOGGLE
+        });
+        const checkbox = toggleLabel.createEl('input', { type: 'checkbox' });
+        toggleLabel.createSpan({ text: `Inherit from ${source}` });
+
+        checkbox.checked = inherit;
+        input.disabled = inherit;
+
+        // Turning inherit off again restores the value shown before it was turned on
+        let ownValue = input.value;
+        checkbox.addEventListener('change', () => {
+            input.disabled = checkbox.checked;
+            if (checkbox.checked) {
+                ownValue = input.value;
+                const inheritedValue = this.inherited.config[field.key];
+                if (TagConfigManager.isSet(inheritedValue)) {
+                    input.value = inheritedValue;
+                }
+            } else {
+                input.value = ownValue;
             }
-            
-            .${CONSTANTS.CSS_CLASSES.BADGE_TEXT} {
-                line-height: 1;
-                white-space: nowrap;
+            input.dispatchEvent(new Event('input'));
+        });
+
+        return checkbox;
+    }
+
+    /**
+     * Handle tag name input change
+     * @private
+     * @param {object} inputs - Form inputs
+     */
+    _onTagNameChange(inputs) {
+        const newTagName = inputs.tagNameInput.value.trim().replace(/^#+/, '');
+        inputs.fields.alias.placeholder = newTagName || 'Enter alias';
+    }
+
+    /**
+     * Create style selector dropdown
+     * @private
+     * @param {HTMLElement} container - Container element
+     * @returns {HTMLElement} Select element
+     */
+    _createStyleSelector(container) {
+        const availableTags = this.configManager.getConfiguredTagNames()
+            .filter(tag => tag !== this.originalTagName);
+        
+        const row = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.MODAL_ROW });
+        row.createDiv({ text: 'Copy Style:', cls: CONSTANTS.CSS_CLASSES.MODAL_LABEL });
+        
+        const select = row.createEl('select', { 
+            cls: CONSTANTS.CSS_CLASSES.MODAL_INPUT 
+        });
+        select.style.cursor = 'pointer';
+
+        // Add options
+        this._populateStyleSelector(select, availableTags);
+        
+        // Handle selection
+        select.addEventListener('change', (e) => {
+            e.stopPropagation();
+            if (select.value) {
+                this._applySelectedStyle(select.value);
+                select.selectedIndex = 0; // Reset to placeholder
             }
-            
-            .${CONSTANTS.CSS_CLASSES.NO_TAGS} {
-                color: var(--text-muted);
-                font-style: italic;
-                padding: 8px 0;
+        });
+
+        return select;
+    }
+
+    /**
+     * Populate style selector with options
+     * @private
+     * @param {HTMLElement} select - Select element
+     * @param {string[]} availableTags - Available tag names
+     */
+    _populateStyleSelector(select, availableTags) {
+        // Placeholder option
+        const placeholderOption = select.createEl('option');
+        placeholderOption.value = '';
+        placeholderOption.textContent = availableTags.length > 0 
+            ? 'Choose style to copy...' 
+            : 'No other styles available';
+        placeholderOption.disabled = true;
+        placeholderOption.selected = true;
+
+        if (availableTags.length === 0) {
+            select.disabled = true;
+            return;
+        }
+
+        // Default option
+        const defaultOption = select.createEl('option');
+        defaultOption.value = 'default';
+        defaultOption.textContent = 'Default Style';
+
+        // Tag options
+        availableTags.forEach(tagName => {
+            const option = select.createEl('option');
+            option.value = tagName;
+            option.textContent = `#${tagName}`;
+        });
+    }
+
+    /**
+     * Apply selected style to form inputs
+     * @private
+     * @param {string} selectedTag - Selected tag name or 'default'
+     */
+    _applySelectedStyle(selectedTag) {
+        try {
+            if (selectedTag !== 'default' && !this.plugin.settings.tagConfigs[selectedTag]) {
+                new Notice('Selected style not found');
+                return;
+            }
+
+            const sourceConfig = selectedTag === 'default' 
+                ? this.plugin.settings.defaultConfig
+                : this.configManager.getTagConfig(selectedTag);
+
+            // Apply the resolved style to inputs as explicitly set properties
+            CONFIG_FIELDS
+                .filter(field => field.copyStyle !== false && TagConfigManager.isSet(sourceConfig[field.key]))
+                .forEach(field => {
+                    const input = this.formInputs.fields[field.key];
+                    this.formInputs.inheritToggles[field.key].checked = false;
+                    input.disabled = false;
+                    input.value = sourceConfig[field.key];
+
+                    // Trigger input event for live preview
+                    input.dispatchEvent(new Event('input'));
+                });
+
+            const styleSource = selectedTag === 'default' ? 'default' : `#${selectedTag}`;
+            new Notice(`Applied style from ${styleSource}`);
+        } catch (error) {
+            console.error('Error applying selected style:', error);
+            new Notice('Failed to apply selected style');
+        }
+    }
+
+    /**
+     * Create preview section
+     * @private
+     * @param {HTMLElement} contentEl - Content element
+     * @returns {HTMLElement} Preview element
+     */
+    _createPreviewSection(contentEl) {
+        const previewContainer = contentEl.createDiv();
+        previewContainer.createEl('h5', { text: 'Preview:' });
+        const preview = previewContainer.createDiv({ cls: CONSTANTS.CSS_CLASSES.MODAL_PREVIEW });
+        this.contrastEl = previewContainer.createDiv({ cls: CONSTANTS.CSS_CLASSES.CONTRAST_READOUT });
+        return preview;
+    }
+
+    /**
+     * Setup live preview with debounced updates
+     * @private
+     * @param {object} inputs - Form inputs
+     * @param {HTMLElement} preview - Preview element
+     */
+    _setupLivePreview(inputs, preview) {
+        const debouncedUpdate = FormUtils.debounce(
+            () => this._updatePreview(inputs, preview), 
+            CONSTANTS.PREVIEW_UPDATE_DEBOUNCE
+        );
+        
+        [inputs.tagNameInput, ...Object.values(inputs.fields)].forEach(input => {
+            input.addEventListener('input', debouncedUpdate);
+        });
+    }
+
+    /**
+     * Update preview element
+     * @private
+     * @param {object} inputs - Form inputs
+     * @param {HTMLElement} preview - Preview element
+     */
+    _updatePreview(inputs, preview) {
+        preview.empty();
+
+        // Inherited properties show their inherited value, so the inputs hold the full style
+        const config = {};
+        CONFIG_FIELDS.forEach(field => {
+            config[field.key] = inputs.fields[field.key].value;
+        });
+
+        const currentTagName = inputs.tagNameInput.value.trim().replace(/^#+/, '') || this.tagName;
+        this.plugin.badgeRenderer.applyStyle(preview, config);
+        this.plugin.badgeRenderer.renderContent(preview, config, currentTagName);
+        this._updateContrastReadout(config);
+    }
+
+    /**
+     * Show the WCAG contrast ratio of the previewed colours
+     * @private
+     * @param {object} config - Previewed configuration
+     */
+    _updateContrastReadout(config) {
+        const result = ColorContrast.checkConfig(config);
+        this.contrastEl.setText(result ? ColorContrast.describe(result) : 'Contrast cannot be calculated');
+        this.contrastEl.toggleClass(CONSTANTS.CSS_CLASSES.CONTRAST_FAIL, Boolean(result) && !result.passesAA);
+    }
+
+    /**
+     * Warn before saving a configuration whose resolved style fails WCAG AA contrast
+     * @private
+     * @param {object} config - Configuration being saved, without inherited properties
+     */
+    _warnIfLowContrast(config) {
+        const resolved = { ...this.inherited.config, ...config };
+        const result = ColorContrast.checkConfig(resolved);
+        if (result && !result.passesAA) {
+            new Notice(`Low contrast: ${ColorContrast.describe(result)}. Consider the Auto text color.`);
+        }
+    }
+
+    /**
+     * Create action buttons
+     * @private
+     * @param {HTMLElement} contentEl - Content element
+     * @param {object} inputs - Form inputs
+     */
+    _createActionButtons(contentEl, inputs) {
+        const buttonContainer = contentEl.createDiv();
+        buttonContainer.style.textAlign = 'right';
+        buttonContainer.style.marginTop = '24px';
+
+        // Delete button
+        const deleteButton = buttonContainer.createEl('button', { 
+            text: 'Delete',
+            cls: 'mod-warning'
+        });
+        deleteButton.style.marginRight = '8px';
+        deleteButton.onclick = () => this._deleteConfiguration();
+
+        // Cancel button
+        const cancelButton = buttonContainer.createEl('button', { text: 'Cancel' });
+        cancelButton.style.marginRight = '8px';
+        cancelButton.onclick = () => this.close();
+
+        // Save button
+        const saveButton = buttonContainer.createEl('button', { 
+            text: 'Save',
+            cls: 'mod-cta'
+        });
+        saveButton.onclick = () => this._saveConfiguration(inputs);
+    }
+
+    /**
+     * Delete current tag configuration
+     * @private
+     */
+    async _deleteConfiguration() {
+        try {
+            await this.configManager.deleteTagConfig(this.originalTagName);
+            new Notice(`Deleted configuration for #${this.originalTagName} (will use default styling)`);
+            this.close();
+        } catch (error) {
+            console.error('Error deleting configuration:', error);
+            new Notice('Failed to delete configuration');
+        }
+    }
+
+    /**
+     * Save current configuration
+     * @private
+     * @param {object} inputs - Form inputs
+     */
+    async _saveConfiguration(inputs) {
+        try {
+            // Validate tag name
+            const tagValidation = FormUtils.validateTagName(inputs.tagNameInput.value);
+            if (!tagValidation.isValid) {
+                new Notice(tagValidation.message);
+                inputs.tagNameInput.focus();
+                return;
             }
+
+            const newTagName = tagValidation.tagName;
+            const tagNameChanged = newTagName !== this.originalTagName;
             
-            .${CONSTANTS.CSS_CLASSES.CONFIG_SEPARATOR} {
-                border-top: 1px solid var(--background-modifier-border);
-                margin: 16px 0;
+            // Check if new tag name already exists
+            if (tagNameChanged && this.plugin.settings.tagConfigs[newTagName]) {
+                new Notice(`Configuration for #${newTagName} already exists`);
+                inputs.tagNameInput.focus();
+                return;
             }
-            
-            .${CONSTANTS.CSS_CLASSES.MODAL_ROW} {
-                display: flex;
-                align-items: center;
-                justify-content: space-between;
-                margin-bottom: 16px;
+
+            const newConfig = this._collectConfig(inputs);
+            const invalidField = this._findInvalidField(newConfig);
+            if (invalidField) {
+                new Notice(invalidField);
+                return;
             }
-            
-            .${CONSTANTS.CSS_CLASSES.MODAL_LABEL} {
-                font-weight: 500;
-                margin-right: 12px;
-                min-width: 120px;
+            IconRenderer.warnIfUnknown(newConfig.icon);
+            this._warnIfLowContrast(newConfig);
+            const originalConfigured = Boolean(this.plugin.settings.tagConfigs[this.originalTagName]);
+
+            // Check if configuration inherits everything
+            if (this.configManager.isEmptyConfig(newConfig)) {
+                // Remove configuration as it adds nothing to the inherited style
+                if (originalConfigured) {
+                    await this.configManager.deleteTagConfig(this.originalTagName);
+                }
+                new Notice(`Removed custom configuration for #${newTagName} (inherits all properties)`);
+            } else {
+                // Save the configuration
+                await this.configManager.saveTagConfig(newTagName, newConfig);
+                
+                if (tagNameChanged && originalConfigured) {
+                    await this.configManager.deleteTagConfig(this.originalTagName);
+                    new Notice(`Moved configuration from #${this.originalTagName} to #${newTagName}`);
+                } else {
+                    new Notice(`Updated configuration for #${newTagName}`);
+                }
             }
             
-            .${CONSTANTS.CSS_CLASSES.MODAL_INPUT} {
-                flex: 1;
-                max-width: 200px;
+            this.close();
+        } catch (error) {
+            console.error('Error saving configuration:', error);
+            new Notice('Failed to save configuration');
+        }
+    }
+
+    /**
+     * Build the configuration to save from the form, keeping only properties that are set
+     * @private
+     * @param {object} inputs - Form inputs
+     * @returns {object} Configuration without inherited properties
+     */
+    _collectConfig(inputs) {
+        const newConfig = { ...this.ownConfig };
+        CONFIG_FIELDS.forEach(field => {
+            if (inputs.inheritToggles[field.key].checked) {
+                delete newConfig[field.key];
+            } else {
+                const value = inputs.fields[field.key].value;
+                if (field.type === 'number') {
+                    newConfig[field.key] = Number(value);
+                } else {
+                    newConfig[field.key] = typeof value === 'string' ? value.trim() : value;
+                }
             }
-            
-            .${CONSTANTS.CSS_CLASSES.MODAL_PREVIEW} {
-                display: inline-flex;
-                align-items: center;
-                gap: 4px;
-                padding: 4px 8px;
-                border-radius: ${CONSTANTS.BADGE_BORDER_RADIUS}px;
-                font-size: 0.8em;
-                font-weight: 500;
-                margin: 16px 0;
+        });
+
+        const description = inputs.descriptionInput?.value.trim();
+        if (description) {
+            newConfig.description = description;
+        } else {
+            delete newConfig.description;
+        }
+
+        const conditions = inputs.conditionEditor.conditions;
+        if (conditions.length > 0) {
+            newConfig.conditions = conditions;
+        } else {
+            delete newConfig.conditions;
+        }
+        return newConfig;
+    }
+
+    /**
+     * Find the first property of a configuration that fails validation
+     * @private
+     * @param {object} config - Configuration to check
+     * @returns {string|null} Problem description, or null if the configuration is valid
+     */
+    _findInvalidField(config) {
+        const invalidField = CONFIG_FIELDS.find(field => {
+            const validator = SettingsValidator.FIELD_VALIDATORS[field.key];
+            return TagConfigManager.isSet(config[field.key]) && validator && !validator(config[field.key]);
+        });
+        if (invalidField) {
+            return `Invalid ${invalidField.label.replace(/:$/, '').toLowerCase()} ${JSON.stringify(config[invalidField.key])}`;
+        }
+
+        const invalidCondition = (config.conditions || [])
+            .find(condition => !SettingsValidator.isValidCondition(condition));
+        return invalidCondition ? `Invalid condition on property "${invalidCondition.property}"` : null;
+    }
+
+    onClose() {
+        const { contentEl } = this;
+        contentEl.empty();
+    }
+}
+
+/**
+ * Configuration modal for glob and regex pattern rules
+ */
+class RuleConfigModal extends TagConfigModal {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {TagBadgesPlugin} plugin - Plugin instance
+     * @param {object} rule - Pattern rule to configure
+     * @param {Function} onChange - Callback run after the rule is saved or deleted
+     */
+    constructor(app, plugin, rule, onChange) {
+        super(app, plugin, rule.pattern);
+        this.rule = rule;
+        this.onChange = onChange;
+        this.ownConfig = rule.config;
+
+        // Unset rule properties fall through to the matching tag's other sources
+        const sources = {};
+        CONFIG_FIELDS.forEach(field => {
+            sources[field.key] = { kind: 'parent', key: null };
+        });
+        this.inherited = { config: plugin.settings.defaultConfig, sources };
+
+        this.targetLabel = 'Pattern:';
+        this.targetPlaceholder = rule.type === 'regex' ? '^20\\d\\d$' : 'status/*';
+    }
+
+    /**
+     * Create modal header
+     * @private
+     * @param {HTMLElement} contentEl - Content element
+     */
+    _createHeader(contentEl) {
+        const headerText = this.rule.pattern
+            ? `Configure ${this.rule.type} rule "${this.rule.pattern}"`
+            : `New ${this.rule.type} rule`;
+        contentEl.createEl('h5', { text: headerText });
+    }
+
+    /**
+     * Create inheritance information section
+     * @private
+     * @param {HTMLElement} contentEl - Content element
+     */
+    _createInheritanceInfo(contentEl) {
+        const inheritanceInfo = contentEl.createDiv({ 
+            cls: CONSTANTS.CSS_CLASSES.INHERITANCE_INFO 
+        });
+        inheritanceInfo.createEl('strong', { text: 'Rules:' });
+        inheritanceInfo.appendText(' A rule styles matching tags after their own configuration. ' +
+            'Properties left on "Inherit" fall through to lower priority rules, parent tags and the default style.');
+    }
+
+    /**
+     * Rules have no description: hover previews show the description of the tag itself
+     * @private
+     */
+    _createDescriptionSection() {}
+
+    /**
+     * Delete the rule
+     * @private
+     */
+    async _deleteConfiguration() {
+        try {
+            if (this.plugin.settings.tagRules.some(rule => rule.id === this.rule.id)) {
+                await this.configManager.deleteRule(this.rule.id);
+                new Notice(`Deleted rule "${this.rule.pattern}"`);
+                this.onChange?.();
             }
-            
-            .${CONSTANTS.CSS_CLASSES.MODAL_PREVIEW} .${CONSTANTS.CSS_CLASSES.BADGE_ICON} {
-                width: ${CONSTANTS.ICON_SIZE}px;
-                height: ${CONSTANTS.ICON_SIZE}px;
+            this.close();
+        } catch (error) {
+            console.error('Error deleting rule:', error);
+            new Notice('Failed to delete rule');
+        }
+    }
+
+    /**
+     * Save the rule
+     * @private
+     * @param {object} inputs - Form inputs
+     */
+    async _saveConfiguration(inputs) {
+        try {
+            const validation = FormUtils.validateRulePattern(this.rule.type, inputs.tagNameInput.value);
+            if (!validation.isValid) {
+                new Notice(validation.message);
+                inputs.tagNameInput.focus();
+                return;
             }
-            
-            .${CONSTANTS.CSS_CLASSES.MODAL_PREVIEW} .${CONSTANTS.CSS_CLASSES.BADGE_ICON} svg {
-                width: ${CONSTANTS.ICON_SIZE}px;
-                height: ${CONSTANTS.ICON_SIZE}px;
+
+            const config = this._collectConfig(inputs);
+            const invalidField = this._findInvalidField(config);
+            if (invalidField) {
+                new Notice(invalidField);
+                return;
             }
-            
-            .${CONSTANTS.CSS_CLASSES.TAG_LIST_ITEM} {
-                display: flex;
-                align-items: center;
-                justify-content: space-between;
-                padding: 8px 12px;
-                border: 1px solid var(--background-modifier-border);
-                border-radius: 6px;
-                margin-bottom: 8px;
-                background: var(--background-secondary);
+            IconRenderer.warnIfUnknown(config.icon);
+            this._warnIfLowContrast(config);
+            await this.configManager.saveRule({
+                ...this.rule,
+                pattern: validation.pattern,
+                config
+            });
+            new Notice(`Saved rule "${validation.pattern}"`);
+            this.onChange?.();
+            this.close();
+        } catch (error) {
+            console.error('Error saving rule:', error);
+            new Notice('Failed to save rule');
+        }
+    }
+}
+
+/**
+ * Searchable grid of Lucide icons with keyboard navigation and recently used icons
+ */
+class IconPickerModal extends Modal {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {TagBadgesPlugin} plugin - Plugin instance
+     * @param {Function} onChoose - Callback receiving the chosen icon name
+     */
+    constructor(app, plugin, onChoose) {
+        super(app);
+        this.plugin = plugin;
+        this.onChoose = onChoose;
+        this.results = [];
+        this.cells = [];
+        this.selectedIndex = 0;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h3', { text: 'Choose Icon' });
+
+        const searchInput = contentEl.createEl('input', {
+            type: 'text',
+            placeholder: 'Search icons...'
+        });
+        searchInput.style.width = '100%';
+
+        this._createRecentIcons(contentEl);
+
+        contentEl.createDiv({ text: 'All icons', cls: CONSTANTS.CSS_CLASSES.ICON_PICKER_HEADING });
+        this.gridEl = contentEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.ICON_PICKER_GRID });
+
+        const debouncedSearch = FormUtils.debounce(
+            () => this._search(searchInput.value),
+            CONSTANTS.PREVIEW_UPDATE_DEBOUNCE
+        );
+        searchInput.addEventListener('input', debouncedSearch);
+        searchInput.addEventListener('keydown', (e) => this._onKeyDown(e));
+
+        this._search('');
+        searchInput.focus();
+    }
+
+    /**
+     * Create the recently used icons row
+     * @private
+     * @param {HTMLElement} contentEl - Content element
+     */
+    _createRecentIcons(contentEl) {
+        const recentIcons = this.plugin.settings.recentIcons;
+        if (recentIcons.length === 0) return;
+
+        contentEl.createDiv({ text: 'Recently used', cls: CONSTANTS.CSS_CLASSES.ICON_PICKER_HEADING });
+        const recentGrid = contentEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.ICON_PICKER_GRID });
+        recentIcons.forEach(iconName => this._createCell(recentGrid, iconName));
+    }
+
+    /**
+     * Fuzzy search icon names and render the best matches
+     * @private
+     * @param {string} query - Search query
+     */
+    _search(query) {
+        const iconNames = IconRenderer.getIconNames();
+        const trimmedQuery = query.trim();
+
+        if (trimmedQuery) {
+            const fuzzySearch = prepareFuzzySearch(trimmedQuery);
+            this.results = iconNames
+                .map(iconName => ({ iconName, match: fuzzySearch(iconName) }))
+                .filter(result => result.match)
+                .sort((a, b) => b.match.score - a.match.score)
+                .map(result => result.iconName);
+        } else {
+            this.results = iconNames;
+        }
+
+        this._renderResults();
+    }
+
+    /**
+     * Render search results into the grid
+     * @private
+     */
+    _renderResults() {
+        this.gridEl.empty();
+        this.cells = this.results
+            .slice(0, CONSTANTS.ICON_PICKER_LIMIT)
+            .map(iconName => this._createCell(this.gridEl, iconName));
+
+        if (this.cells.length === 0) {
+            this.gridEl.createDiv({ text: 'No matching icons', cls: CONSTANTS.CSS_CLASSES.NO_TAGS });
+        }
+        this._select(0);
+    }
+
+    /**
+     * Create a clickable icon cell
+     * @private
+     * @param {HTMLElement} container - Grid element
+     * @param {string} iconName - Icon name
+     * @returns {HTMLElement} Cell element
+     */
+    _createCell(container, iconName) {
+        const cell = container.createEl('button', { cls: CONSTANTS.CSS_CLASSES.ICON_PICKER_CELL });
+        cell.title = iconName;
+        cell.setAttribute('aria-label', iconName);
+        cell.tabIndex = -1;
+        IconRenderer.renderIcon(cell, iconName);
+        cell.onclick = () => this._choose(iconName);
+        return cell;
+    }
+
+    /**
+     * Move the keyboard selection
+     * @private
+     * @param {number} index - Result index to select
+     */
+    _select(index) {
+        this.cells[this.selectedIndex]?.removeClass('is-selected');
+        if (this.cells.length === 0) return;
+
+        this.selectedIndex = Math.max(0, Math.min(index, this.cells.length - 1));
+        const cell = this.cells[this.selectedIndex];
+        cell.addClass('is-selected');
+        cell.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Handle grid navigation keys in the search input
+     * @private
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    _onKeyDown(e) {
+        const steps = {
+            ArrowRight: 1,
+            ArrowLeft: -1,
+            ArrowDown: CONSTANTS.ICON_PICKER_COLUMNS,
+            ArrowUp: -CONSTANTS.ICON_PICKER_COLUMNS
+        };
+
+        if (e.key in steps) {
+            e.preventDefault();
+            this._select(this.selectedIndex + steps[e.key]);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const iconName = this.results[this.selectedIndex];
+            if (iconName && this.cells.length > 0) {
+                this._choose(iconName);
             }
-            
-            .${CONSTANTS.CSS_CLASSES.TAG_LIST_NAME} {
-                font-weight: 500;
-                color: var(--text-normal);
-                flex: 1;
+        }
+    }
+
+    /**
+     * Choose an icon and remember it as recently used
+     * @private
+     * @param {string} iconName - Icon name
+     */
+    async _choose(iconName) {
+        this.onChoose(iconName);
+        this.close();
+
+        try {
+            await this.plugin.addRecentIcon(iconName);
+        } catch (error) {
+            console.error('Error saving recent icons:', error);
+            new Notice('Failed to save recently used icons');
+        }
+    }
+
+    onClose() {
+        const { contentEl } = this;
+        contentEl.empty();
+    }
+}
+
+/**
+ * Modal for adding new tag configurations
+ */
+class AddTagModal extends Modal {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {Function} onSubmit - Callback function for submission
+     * @param {object} [options] - Modal text, for reusing the modal to ask for other tag names
+     * @param {string} [options.title] - Modal title
+     * @param {string} [options.buttonText] - Submit button text
+     * @param {string} [options.value] - Initial tag name
+     */
+    constructor(app, onSubmit, { title = 'Add Tag Configuration', buttonText = 'Add', value = '' } = {}) {
+        super(app);
+        this.onSubmit = onSubmit;
+        this.title = title;
+        this.buttonText = buttonText;
+        this.initialValue = value;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.createEl('h3', { text: this.title });
+
+        const inputContainer = contentEl.createDiv();
+        const input = inputContainer.createEl('input', {
+            type: 'text',
+            placeholder: 'Enter tag name (without #)',
+            value: this.initialValue
+        });
+        input.style.width = '100%';
+        input.style.marginBottom = '16px';
+
+        this._createButtons(contentEl, input);
+        this._setupEventListeners(input);
+    }
+
+    /**
+     * Create action buttons
+     * @private
+     * @param {HTMLElement} contentEl - Content element
+     * @param {HTMLElement} input - Input element
+     */
+    _createButtons(contentEl, input) {
+        const buttonContainer = contentEl.createDiv();
+        buttonContainer.style.textAlign = 'right';
+
+        const cancelButton = buttonContainer.createEl('button', { text: 'Cancel' });
+        cancelButton.style.marginRight = '8px';
+        cancelButton.onclick = () => this.close();
+
+        const addButton = buttonContainer.createEl('button', { 
+            text: this.buttonText,
+            cls: 'mod-cta'
+        });
+        addButton.onclick = () => this._handleSubmit(input);
+    }
+
+    /**
+     * Setup event listeners
+     * @private
+     * @param {HTMLElement} input - Input element
+     */
+    _setupEventListeners(input) {
+        input.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this._handleSubmit(input);
             }
-            
-            .${CONSTANTS.CSS_CLASSES.TAG_LIST_BUTTONS} {
-                display: flex;
-                gap: 8px;
+        });
+    }
+
+    /**
+     * Handle form submission
+     * @private
+     * @param {HTMLElement} input - Input element
+     */
+    _handleSubmit(input) {
+        const validation = FormUtils.validateTagName(input.value);
+        if (validation.isValid) {
+            this.onSubmit(validation.tagName);
+            this.close();
+        } else {
+            new Notice(validation.message);
+            input.focus();
+        }
+    }
+
+    onClose() {
+        const { contentEl } = this;
+        contentEl.empty();
+    }
+}
+
+/**
+ * Asks for the colours and icon to apply to several tags; properties left empty keep each
+ * tag's own value
+ */
+class BulkStyleModal extends Modal {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {TagBadgesPlugin} plugin - Plugin instance
+     * @param {number} tagCount - Number of selected tags
+     * @param {Function} onApply - Callback receiving the properties to apply
+     */
+    constructor(app, plugin, tagCount, onApply) {
+        super(app);
+        this.plugin = plugin;
+        this.tagCount = tagCount;
+        this.onApply = onApply;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.createEl('h3', { text: `Apply style to ${this.tagCount} tag(s)` });
+        contentEl.createEl('p', {
+            text: 'Properties left on "None" or empty keep each tag\'s own value.',
+            cls: 'setting-item-description'
+        });
+
+        const inputs = {
+            backgroundColor: FormUtils.createThemeColorSetting(
+                contentEl, 'Background Color:', '', '', () => {}, { optional: true }
+            ),
+            textColor: FormUtils.createThemeColorSetting(
+                contentEl, 'Text Color:', '', '', () => {}, { optional: true, allowAuto: true }
+            ),
+            icon: FormUtils.createTextSetting(contentEl, 'Icon:', 'e.g., star, check', '', () => {})
+        };
+
+        const pickButton = createEl('button', { cls: CONSTANTS.CSS_CLASSES.ICON_PICK_BUTTON });
+        IconRenderer.renderIcon(pickButton, 'search');
+        pickButton.setAttribute('aria-label', 'Choose icon');
+        pickButton.onclick = () => {
+            new IconPickerModal(this.app, this.plugin, (iconName) => {
+                inputs.icon.value = iconName;
+            }).open();
+        };
+        inputs.icon.after(pickButton);
+
+        const buttonContainer = contentEl.createDiv();
+        buttonContainer.style.textAlign = 'right';
+
+        const cancelButton = buttonContainer.createEl('button', { text: 'Cancel' });
+        cancelButton.style.marginRight = '8px';
+        cancelButton.onclick = () => this.close();
+
+        const applyButton = buttonContainer.createEl('button', { text: 'Apply', cls: 'mod-cta' });
+        applyButton.onclick = () => this._handleSubmit(inputs);
+    }
+
+    /**
+     * Validate the chosen properties and apply them
+     * @private
+     * @param {object} inputs - Property inputs
+     */
+    _handleSubmit(inputs) {
+        const style = {};
+        Object.entries(inputs).forEach(([key, input]) => {
+            const value = typeof input.value === 'string' ? input.value.trim() : input.value;
+            if (value) {
+                style[key] = value;
             }
+        });
+
+        if (Object.keys(style).length === 0) {
+            new Notice('Choose a color or icon to apply');
+            return;
+        }
+        const invalidKey = Object.keys(style).find(key => !SettingsValidator.FIELD_VALIDATORS[key](style[key]));
+        if (invalidKey) {
+            new Notice(`Invalid ${invalidKey} ${JSON.stringify(style[invalidKey])}`);
+            return;
+        }
+
+        IconRenderer.warnIfUnknown(style.icon);
+        this.onApply(style);
+        this.close();
+    }
+
+    onClose() {
+        const { contentEl } = this;
+        contentEl.empty();
+    }
+}
+
+/**
+ * Shows the rendered results of a Dataview query for a tag
+ */
+class DataviewResultModal extends Modal {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {string} tagName - Tag name the query is for
+     * @param {string} query - Dataview query
+     */
+    constructor(app, tagName, query) {
+        super(app);
+        this.tagName = tagName;
+        this.query = query;
+        this.component = new Component();
+    }
+
+    async onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h3', { text: `#${this.tagName}` });
+
+        // Dataview renders its own code blocks, so the query runs through the markdown renderer
+        this.component.load();
+        const resultsEl = contentEl.createDiv();
+        try {
+            await MarkdownRenderer.render(this.app, '```dataview\n' + this.query + '\n```', resultsEl, '', this.component);
+        } catch (error) {
+            console.error('Error rendering Dataview query:', error);
+            resultsEl.empty();
+            resultsEl.createDiv({ text: 'Failed to run the Dataview query', cls: CONSTANTS.CSS_CLASSES.BLOCK_ERROR });
+        }
+    }
 
-            .${CONSTANTS.CSS_CLASSES.INHERITANCE_INFO} {
-                margin-bottom: 16px;
-                padding: 8px 12px;
-                background-color: var(--background-secondary);
-                border-radius: 6px;
-                font-size: 0.9em;
-            }
-        `;
+    onClose() {
+        this.component.unload();
+        this.contentEl.empty();
     }
 }
 
 /**
- * Frontmatter parser for extracting tags from file metadata
+ * Modal for exporting all or selected tag style configurations
  */
-class FrontmatterParser {
+class ExportConfigModal extends Modal {
     /**
-     * Extract and normalize tags from a file's frontmatter
-     * @param {object} file - The Obsidian file object
-     * @param {object} metadataCache - The metadata cache
-     * @returns {string[]} Array of cleaned tag names
+     * @param {object} app - Obsidian app instance
+     * @param {TagBadgesPlugin} plugin - Plugin instance
      */
-    static extractTags(file, metadataCache) {
-        if (!file || !metadataCache) return [];
-
-        try {
-            const cache = metadataCache.getFileCache(file);
-            const frontmatter = cache?.frontmatter;
+    constructor(app, plugin) {
+        super(app);
+        this.plugin = plugin;
+        this.selectedTags = new Set(plugin.configManager.getConfiguredTagNames());
+        this.includeRules = true;
+        this.format = 'json';
+        this.path = CONSTANTS.DEFAULT_EXPORT_PATH;
+    }
 
-            if (!frontmatter?.tags) return [];
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h3', { text: 'Export Tag Styles' });
 
-            return this._normalizeTags(frontmatter.tags);
-        } catch (error) {
-            console.error('Error extracting tags from frontmatter:', error);
-            return [];
-        }
+        this._createOptions(contentEl);
+        this._createTagSelection(contentEl);
+        this._createButtons(contentEl);
     }
 
     /**
-     * Normalize tags to array and clean them
+     * Create format, rule and destination options
      * @private
-     * @param {string|string[]} tags - Raw tags from frontmatter
-     * @returns {string[]} Normalized tag array
+     * @param {HTMLElement} contentEl - Content element
      */
-    static _normalizeTags(tags) {
-        const tagArray = Array.isArray(tags) ? tags : [tags];
-        return tagArray
-            .map(tag => String(tag).replace(/^#+/, '').trim())
-            .filter(tag => tag.length > 0);
+    _createOptions(contentEl) {
+        let pathText;
+
+        new Setting(contentEl)
+            .setName('Format')
+            .addDropdown(dropdown => {
+                dropdown.addOption('json', 'JSON')
+                    .addOption('yaml', 'YAML')
+                    .setValue(this.format)
+                    .onChange(value => {
+                        this.format = value;
+                        this.path = this.path.replace(/\.(json|ya?ml)$/i, `.${value}`);
+                        pathText.setValue(this.path);
+                    });
+            });
+
+        new Setting(contentEl)
+            .setName('Include pattern rules')
+            .addToggle(toggle => {
+                toggle.setValue(this.includeRules)
+                    .onChange(value => { this.includeRules = value; });
+            });
+
+        new Setting(contentEl)
+            .setName('Vault file')
+            .setDesc('Used by "Save to File"; an existing file is replaced')
+            .addText(text => {
+                pathText = text;
+                text.setValue(this.path)
+                    .onChange(value => { this.path = value.trim(); });
+            });
     }
-}
 
-/**
- * Utility class for common form operations
- */
-class FormUtils {
     /**
-     * Create a color picker setting
-     * @param {HTMLElement} container - Container element
-     * @param {string} label - Setting label
-     * @param {string} description - Setting description
-     * @param {string} value - Initial value
-     * @param {Function} onChange - Change handler
-     * @returns {HTMLElement} Input element
+     * Create the list of tag configurations to export
+     * @private
+     * @param {HTMLElement} contentEl - Content element
      */
-    static createColorSetting(container, label, description, value, onChange) {
-        const row = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.MODAL_ROW });
-        row.createDiv({ text: label, cls: CONSTANTS.CSS_CLASSES.MODAL_LABEL });
-        
-        const input = row.createEl('input', {
-            type: 'color',
-            value: value,
-            cls: CONSTANTS.CSS_CLASSES.MODAL_INPUT
-        });
+    _createTagSelection(contentEl) {
+        const tagNames = this.plugin.configManager.getConfiguredTagNames();
+        const checkboxes = [];
 
-        if (description) {
-            input.title = description;
-        }
+        new Setting(contentEl)
+            .setName('Tag configurations')
+            .setDesc(`${tagNames.length} configured`)
+            .addButton(button => {
+                button.setButtonText('Select All')
+                    .onClick(() => this._setAllSelected(tagNames, checkboxes, true));
+            })
+            .addButton(button => {
+                button.setButtonText('Select None')
+                    .onClick(() => this._setAllSelected(tagNames, checkboxes, false));
+            });
 
-        input.addEventListener('input', onChange);
-        return input;
+        const listEl = contentEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.TRANSFER_LIST });
+        tagNames.forEach(tagName => {
+            const label = listEl.createEl('label');
+            const checkbox = label.createEl('input', { type: 'checkbox' });
+            checkbox.checked = this.selectedTags.has(tagName);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.selectedTags.add(tagName);
+                } else {
+                    this.selectedTags.delete(tagName);
+                }
+            });
+            label.appendText(` #${tagName}`);
+            checkboxes.push(checkbox);
+        });
     }
 
     /**
-     * Create a text input setting
-     * @param {HTMLElement} container - Container element
-     * @param {string} label - Setting label
-     * @param {string} placeholder - Input placeholder
-     * @param {string} value - Initial value
-     * @param {Function} onChange - Change handler
-     * @returns {HTMLElement} Input element
+     * Select or deselect every tag
+     * @private
+     * @param {string[]} tagNames - All tag names
+     * @param {HTMLInputElement[]} checkboxes - Checkbox per tag name
+     * @param {boolean} selected - Whether to select
      */
-    static createTextSetting(container, label, placeholder, value, onChange) {
-        const row = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.MODAL_ROW });
-        row.createDiv({ text: label, cls: CONSTANTS.CSS_CLASSES.MODAL_LABEL });
-        
-        const input = row.createEl('input', {
-            type: 'text',
-            placeholder: placeholder,
-            value: value || '',
-            cls: CONSTANTS.CSS_CLASSES.MODAL_INPUT
-        });
-
-        input.addEventListener('input', onChange);
-        return input;
+    _setAllSelected(tagNames, checkboxes, selected) {
+        this.selectedTags = new Set(selected ? tagNames : []);
+        checkboxes.forEach(checkbox => { checkbox.checked = selected; });
     }
 
     /**
-     * Validate tag name input
-     * @param {string} tagName - The tag name to validate
-     * @returns {object} Validation result with isValid and message
+     * Create action buttons
+     * @private
+     * @param {HTMLElement} contentEl - Content element
      */
-    static validateTagName(tagName) {
-        if (!tagName?.trim()) {
-            return { isValid: false, message: 'Tag name cannot be empty' };
-        }
-
-        const cleanTagName = tagName.trim().replace(/^#+/, '');
-        
-        if (!cleanTagName) {
-            return { isValid: false, message: 'Tag name cannot be empty' };
-        }
-
-        if (cleanTagName.includes(' ')) {
-            return { isValid: false, message: 'Tag names cannot contain spaces' };
-        }
+    _createButtons(contentEl) {
+        const buttonContainer = contentEl.createDiv();
+        buttonContainer.style.textAlign = 'right';
+        buttonContainer.style.marginTop = '16px';
 
-        if (cleanTagName.includes('\n') || cleanTagName.includes('\t')) {
-            return { isValid: false, message: 'Tag names cannot contain line breaks or tabs' };
-        }
+        const clipboardButton = buttonContainer.createEl('button', { text: 'Copy to Clipboard' });
+        clipboardButton.style.marginRight = '8px';
+        clipboardButton.onclick = () => this._export('clipboard');
 
-        return { isValid: true, tagName: cleanTagName };
+        const fileButton = buttonContainer.createEl('button', { 
+            text: 'Save to File',
+            cls: 'mod-cta'
+        });
+        fileButton.onclick = () => this._export('file');
     }
 
     /**
-     * Debounce a function call
-     * @param {Function} func - Function to debounce
-     * @param {number} delay - Delay in milliseconds
-     * @returns {Function} Debounced function
+     * Export the selection
+     * @private
+     * @param {string} destination - 'clipboard' or 'file'
      */
-    static debounce(func, delay) {
-        let timeoutId;
-        return function (...args) {
-            clearTimeout(timeoutId);
-            timeoutId = setTimeout(() => func.apply(this, args), delay);
-        };
+    async _export(destination) {
+        try {
+            const text = ConfigTransfer.serialize(this.plugin.settings, Array.from(this.selectedTags), {
+                includeRules: this.includeRules,
+                format: this.format
+            });
+
+            if (destination === 'clipboard') {
+                await navigator.clipboard.writeText(text);
+                new Notice(`Copied ${this.selectedTags.size} tag configurations to the clipboard`);
+            } else {
+                if (!this.path) {
+                    new Notice('Enter a file path');
+                    return;
+                }
+                await ConfigTransfer.writeToVault(this.app, this.path, text);
+                new Notice(`Exported ${this.selectedTags.size} tag configurations to ${this.path}`);
+            }
+            this.close();
+        } catch (error) {
+            console.error('Error exporting tag styles:', error);
+            new Notice('Failed to export tag styles');
+        }
+    }
+
+    onClose() {
+        const { contentEl } = this;
+        contentEl.empty();
     }
 }
 
 /**
- * Configuration modal for tag settings
+ * Modal for reviewing and applying an import of tag style configurations
  */
-class TagConfigModal extends Modal {
+class ImportConfigModal extends Modal {
     /**
      * @param {object} app - Obsidian app instance
      * @param {TagBadgesPlugin} plugin - Plugin instance
-     * @param {string} tagName - Tag name to configure
+     * @param {string} text - JSON or YAML to import
+     * @param {Function} [onImport] - Callback run after importing
      */
-    constructor(app, plugin, tagName) {
+    constructor(app, plugin, text, onImport) {
         super(app);
         this.plugin = plugin;
-        this.originalTagName = tagName;
-        this.tagName = tagName;
-        this.configManager = plugin.configManager;
-        this.config = this.configManager.getTagConfig(tagName);
-        this.formInputs = {};
+        this.imported = ConfigTransfer.parse(text);
+        this.onImport = onImport;
+        this.strategy = 'merge';
     }
 
     onOpen() {
         const { contentEl } = this;
         contentEl.empty();
-        
-        this._createHeader(contentEl);
-        this._createInheritanceInfo(contentEl);
-        
-        const inputs = this._createFormInputs(contentEl);
-        contentEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.CONFIG_SEPARATOR });
-        const preview = this._createPreviewSection(contentEl);
-        
-        this._setupLivePreview(inputs, preview);
-        this._createActionButtons(contentEl, inputs);
-        this._updatePreview(inputs, preview);
+        contentEl.createEl('h3', { text: 'Import Tag Styles' });
+
+        const { tagConfigs, tagRules, errors } = this.imported;
+        const tagNames = Object.keys(tagConfigs);
+        const conflicts = tagNames.filter(tagName => this.plugin.settings.tagConfigs[tagName]);
+
+        contentEl.createEl('p', {
+            text: `Found ${tagNames.length} tag configurations (${conflicts.length} already configured) ` +
+                `and ${tagRules.length} pattern rules.`
+        });
+
+        if (errors.length > 0) {
+            const errorEl = contentEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.BLOCK_ERROR });
+            errorEl.createEl('strong', { text: 'Problems found' });
+            const list = errorEl.createEl('ul');
+            errors.forEach(error => list.createEl('li', { text: error }));
+        }
+
+        new Setting(contentEl)
+            .setName('Existing configurations')
+            .setDesc('What to do when an imported tag or rule is already configured')
+            .addDropdown(dropdown => {
+                dropdown.addOption('merge', 'Merge properties')
+                    .addOption('overwrite', 'Overwrite')
+                    .addOption('skip', 'Skip conflicts')
+                    .setValue(this.strategy)
+                    .onChange(value => { this.strategy = value; });
+            });
+
+        const buttonContainer = contentEl.createDiv();
+        buttonContainer.style.textAlign = 'right';
+
+        const cancelButton = buttonContainer.createEl('button', { text: 'Cancel' });
+        cancelButton.style.marginRight = '8px';
+        cancelButton.onclick = () => this.close();
+
+        const importButton = buttonContainer.createEl('button', { 
+            text: 'Import',
+            cls: 'mod-cta'
+        });
+        importButton.disabled = tagNames.length === 0 && tagRules.length === 0;
+        importButton.onclick = () => this._import();
     }
 
     /**
-     * Create modal header
+     * Apply the import
      * @private
-     * @param {HTMLElement} contentEl - Content element
      */
-    _createHeader(contentEl) {
-        const inheritedParent = this.configManager.getInheritedParent(this.tagName);
-        const headerText = inheritedParent 
-            ? `Configure #${this.tagName} (inherits from #${inheritedParent})`
-            : `Configure #${this.tagName}`;
-        
-        contentEl.createEl('h5', { text: headerText });
+    async _import() {
+        try {
+            const summary = await this.plugin.configManager.importConfigs(this.imported, this.strategy);
+            new Notice(`Imported tag styles: ${summary.added} added, ${summary.updated} updated, ` +
+                `${summary.skipped} skipped`);
+            this.onImport?.();
+            this.close();
+        } catch (error) {
+            console.error('Error importing tag styles:', error);
+            new Notice('Failed to import tag styles');
+        }
+    }
+
+    onClose() {
+        const { contentEl } = this;
+        contentEl.empty();
+    }
+}
+
+/**
+ * Suggester for choosing a JSON or YAML vault file to import tag styles from
+ */
+class ImportFileSuggestModal extends FuzzySuggestModal {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {Function} onChoose - Callback receiving the chosen TFile
+     */
+    constructor(app, onChoose) {
+        super(app);
+        this.onChoose = onChoose;
+        this.setPlaceholder('Choose a JSON or YAML file to import');
+    }
+
+    getItems() {
+        return this.app.vault.getFiles()
+            .filter(file => ['json', 'yaml', 'yml'].includes(file.extension));
+    }
+
+    getItemText(file) {
+        return file.path;
+    }
+
+    onChooseItem(file) {
+        this.onChoose(file);
+    }
+}
+
+/**
+ * Render child tracking a rendered `tag-badges` code block so it can be
+ * re-rendered on changes and released when its section is unloaded
+ */
+class TagBadgesRenderChild extends MarkdownRenderChild {
+    /**
+     * @param {HTMLElement} containerEl - Code block element
+     * @param {TagBadgesPlugin} plugin - Plugin instance
+     * @param {object} ctx - Markdown processing context
+     * @param {object} options - Parsed code block options
+     */
+    constructor(containerEl, plugin, ctx, options) {
+        super(containerEl);
+        this.plugin = plugin;
+        this.ctx = ctx;
+        this.options = options;
+        this.filePath = null;
+    }
+
+    onload() {
+        this.plugin.badgeBlocks.add(this);
+        this.render();
+    }
+
+    onunload() {
+        this.plugin.badgeBlocks.delete(this);
+    }
+
+    /**
+     * Render the block's badges, remembering which note they were read from
+     */
+    render() {
+        this.filePath = this.plugin.renderTagBadges(this.containerEl, this.ctx, this.options);
+    }
+
+    /**
+     * Re-render if a changed note is the one the block shows
+     * @param {TFile} file - Note whose metadata changed
+     */
+    onFileChanged(file) {
+        if (this.filePath === file.path) {
+            this.render();
+        }
+    }
+
+    /**
+     * Re-render after a note was created, renamed or deleted if the block's note moved or could
+     * not be read before, such as a `file` link to a note that did not exist yet
+     * @param {TAbstractFile} file - Created, renamed or deleted file
+     * @param {string} [oldPath] - Previous path of a renamed file
+     */
+    onVaultChanged(file, oldPath) {
+        const shownFile = this.plugin.app.vault.getAbstractFileByPath(this.filePath || '');
+        if (this.filePath === oldPath || !(shownFile instanceof TFile)) {
+            this.render();
+        }
+    }
+
+    /**
+     * Called when the metadata cache has resolved links; a single note's tags do not depend on them
+     */
+    onLinksResolved() {}
+}
+
+/**
+ * Render child for a `tag-badges-query` block, which depends on every note it may match
+ */
+class TagQueryRenderChild extends TagBadgesRenderChild {
+    /**
+     * @param {HTMLElement} containerEl - Code block element
+     * @param {TagBadgesPlugin} plugin - Plugin instance
+     * @param {object} ctx - Markdown processing context
+     * @param {object} options - Parsed query options
+     */
+    constructor(containerEl, plugin, ctx, options) {
+        super(containerEl, plugin, ctx, options);
+        this.requestRender = FormUtils.debounce(() => this.render(), CONSTANTS.REFRESH_DEBOUNCE);
+    }
+
+    onunload() {
+        super.onunload();
+        this.requestRender.cancel();
     }
 
     /**
-     * Create inheritance information section
-     * @private
-     * @param {HTMLElement} contentEl - Content element
+     * Render the union of tags across the matched notes
      */
-    _createInheritanceInfo(contentEl) {
-        const inheritedParent = this.configManager.getInheritedParent(this.tagName);
-        if (!inheritedParent) return;
-
-        const inheritanceInfo = contentEl.createDiv({ 
-            cls: CONSTANTS.CSS_CLASSES.INHERITANCE_INFO 
-        });
-        inheritanceInfo.innerHTML = `
-            <strong>Inheritance:</strong> This tag currently inherits its style from <code>#${inheritedParent}</code>. 
-            Configuring it here will override the inherited style.
-        `;
+    render() {
+        this.plugin.renderTagQuery(this.containerEl, this.ctx, this.options);
     }
 
     /**
-     * Create form input elements
-     * @private
-     * @param {HTMLElement} contentEl - Content element
-     * @returns {object} Object containing all input elements
+     * Re-render after any note changes, since it may join or leave the query's results
      */
-    _createFormInputs(contentEl) {
-        const inputs = {};
-
-        // Tag name input
-        inputs.tagNameInput = FormUtils.createTextSetting(
-            contentEl, 'Target Tag:', 'Enter tag name', this.tagName,
-            () => this._onTagNameChange(inputs)
-        );
-
-        // Style selector
-        inputs.useStyleSelect = this._createStyleSelector(contentEl);
-
-        contentEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.CONFIG_SEPARATOR });
-
-        // Icon input
-        inputs.iconInput = FormUtils.createTextSetting(
-            contentEl, 'Lucide Icon Name:', null, this.config.icon,
-            () => {} // Will be handled by live preview
-        );
-
-        // Color inputs
-        inputs.textColorInput = FormUtils.createColorSetting(
-            contentEl, 'Text Color:', 'Choose badge text color', this.config.textColor,
-            () => {} // Will be handled by live preview
-        );
-
-        inputs.backgroundColorInput = FormUtils.createColorSetting(
-            contentEl, 'Background Color:', 'Choose badge background color', this.config.backgroundColor,
-            () => {} // Will be handled by live preview
-        );
+    onFileChanged() {
+        this.requestRender();
+    }
 
-        // Alias input
-        inputs.aliasInput = FormUtils.createTextSetting(
-            contentEl, 'Alias:', this.tagName, this.config.alias,
-            () => {} // Will be handled by live preview
-        );
+    /**
+     * Re-render after notes were created, renamed, moved or deleted, which changes which
+     * notes the folder and path options match
+     */
+    onVaultChanged() {
+        this.requestRender();
+    }
 
-        this.formInputs = inputs;
-        return inputs;
+    /**
+     * Re-render after link resolution, which changes which notes the links-to option matches
+     */
+    onLinksResolved() {
+        this.requestRender();
     }
+}
 
+/**
+ * Applies one action to several selected tags, as a single edit that can be undone
+ */
+class BulkTagEditor {
     /**
-     * Handle tag name input change
-     * @private
-     * @param {object} inputs - Form inputs
+     * @param {TagBadgesPlugin} plugin - Plugin instance
      */
-    _onTagNameChange(inputs) {
-        const newTagName = inputs.tagNameInput.value.trim().replace(/^#+/, '');
-        inputs.aliasInput.placeholder = newTagName || 'Enter alias';
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.app = plugin.app;
     }
 
     /**
-     * Create style selector dropdown
-     * @private
+     * Create a toolbar with the selection count, select all and none buttons, and the bulk actions
      * @param {HTMLElement} container - Container element
-     * @returns {HTMLElement} Select element
+     * @param {Set<string>} selectedTags - Selected tag names, updated by the toolbar
+     * @param {string[]} listedTags - Tags that "Select all" selects
+     * @param {Function} onChange - Callback run when the selection or the configurations change
+     * @returns {Function} Function updating the toolbar after the selection changed elsewhere
      */
-    _createStyleSelector(container) {
-        const availableTags = this.configManager.getConfiguredTagNames()
-            .filter(tag => tag !== this.originalTagName);
-        
-        const row = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.MODAL_ROW });
-        row.createDiv({ text: 'Copy Style:', cls: CONSTANTS.CSS_CLASSES.MODAL_LABEL });
-        
-        const select = row.createEl('select', { 
-            cls: CONSTANTS.CSS_CLASSES.MODAL_INPUT 
-        });
-        select.style.cursor = 'pointer';
+    createToolbar(container, selectedTags, listedTags, onChange) {
+        const toolbar = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.BULK_TOOLBAR });
+        const countEl = toolbar.createSpan();
+
+        const selectAllButton = toolbar.createEl('button', { text: 'Select all' });
+        selectAllButton.onclick = () => {
+            listedTags.forEach(tagName => selectedTags.add(tagName));
+            onChange();
+        };
+        const selectNoneButton = toolbar.createEl('button', { text: 'Select none' });
+        selectNoneButton.onclick = () => {
+            selectedTags.clear();
+            onChange();
+        };
 
-        // Add options
-        this._populateStyleSelector(select, availableTags);
-        
-        // Handle selection
-        select.addEventListener('change', (e) => {
-            e.stopPropagation();
-            if (select.value) {
-                this._applySelectedStyle(select.value);
-                select.selectedIndex = 0; // Reset to placeholder
+        const actionButtons = Object.entries(CONSTANTS.BULK_ACTIONS).map(([action, label]) => {
+            const button = toolbar.createEl('button', { text: label });
+            if (action === 'delete') {
+                button.addClass('mod-warning');
             }
+            button.onclick = () => this.run(action, Array.from(selectedTags), onChange);
+            return button;
         });
 
-        return select;
+        const update = () => {
+            countEl.setText(`${selectedTags.size} selected`);
+            actionButtons.forEach(button => {
+                button.disabled = selectedTags.size === 0;
+            });
+        };
+        update();
+        return update;
     }
 
     /**
-     * Populate style selector with options
-     * @private
-     * @param {HTMLElement} select - Select element
-     * @param {string[]} availableTags - Available tag names
+     * Run a bulk action on tags
+     * @param {string} action - Key of CONSTANTS.BULK_ACTIONS
+     * @param {string[]} tagNames - Tags to edit
+     * @param {Function} [onDone] - Callback run after the configurations changed or the edit was undone
      */
-    _populateStyleSelector(select, availableTags) {
-        // Placeholder option
-        const placeholderOption = select.createEl('option');
-        placeholderOption.value = '';
-        placeholderOption.textContent = availableTags.length > 0 
-            ? 'Choose style to copy...' 
-            : 'No other styles available';
-        placeholderOption.disabled = true;
-        placeholderOption.selected = true;
-
-        if (availableTags.length === 0) {
-            select.disabled = true;
-            return;
+    run(action, tagNames, onDone) {
+        if (tagNames.length === 0) return;
+
+        switch (action) {
+            case 'style':
+                new BulkStyleModal(this.app, this.plugin, tagNames.length, style => {
+                    this._apply(tagNames, config => ({ ...config, ...style }), 'Applied a style to', onDone);
+                }).open();
+                break;
+            case 'clear-alias':
+                this._apply(tagNames, ({ alias, ...config }) => config, 'Cleared the aliases of', onDone);
+                break;
+            case 'inherit':
+                // Style properties are dropped; descriptions and conditions stay with the tag
+                this._apply(tagNames, config => {
+                    CONFIG_FIELDS.forEach(field => delete config[field.key]);
+                    return config;
+                }, 'Reset to inherited styles', onDone);
+                break;
+            case 'delete':
+                this._apply(tagNames, () => null, 'Deleted the configurations of', onDone);
+                break;
+            default:
+                console.error(`Unknown bulk action "${action}"`);
         }
-
-        // Default option
-        const defaultOption = select.createEl('option');
-        defaultOption.value = 'default';
-        defaultOption.textContent = 'Default Style';
-
-        // Tag options
-        availableTags.forEach(tagName => {
-            const option = select.createEl('option');
-            option.value = tagName;
-            option.textContent = `#${tagName}`;
-        });
     }
 
     /**
-     * Apply selected style to form inputs
+     * Apply an edit to tags and offer to undo it
      * @private
-     * @param {string} selectedTag - Selected tag name or 'default'
+     * @param {string[]} tagNames - Tags to edit
+     * @param {Function} edit - Configuration edit, see TagConfigManager.bulkEdit
+     * @param {string} summary - Description of the edit, completed with the number of tags
+     * @param {Function} [onDone] - Callback run after the configurations changed
      */
-    _applySelectedStyle(selectedTag) {
+    async _apply(tagNames, edit, summary, onDone) {
         try {
-            const sourceConfig = selectedTag === 'default' 
-                ? this.plugin.settings.defaultConfig
-                : this.plugin.settings.tagConfigs[selectedTag];
-
-            if (!sourceConfig) {
-                new Notice('Selected style not found');
+            const label = `${summary} ${tagNames.length} tag(s)`;
+            const changedCount = await this.plugin.configManager.bulkEdit(tagNames, edit, label);
+            if (changedCount === 0) {
+                new Notice('Nothing to change for the selected tags');
                 return;
             }
-
-            // Apply configuration to inputs
-            //this.formInputs.iconInput.value = sourceConfig.icon || CONSTANTS.DEFAULT_ICON;
-            this.formInputs.iconInput.value = sourceConfig.icon;
-            this.formInputs.textColorInput.value = sourceConfig.textColor;
-            this.formInputs.backgroundColorInput.value = sourceConfig.backgroundColor;
-
-            // Trigger input events for live preview
-            Object.values(this.formInputs).forEach(input => {
-                if (input.dispatchEvent) {
-                    input.dispatchEvent(new Event('input'));
-                }
-            });
-
-            const styleSource = selectedTag === 'default' ? 'default' : `#${selectedTag}`;
-            new Notice(`Applied style from ${styleSource}`);
+            onDone?.();
+
+            const notice = new Notice(createFragment(fragment => {
+                fragment.appendText(`${label} `);
+                const undoButton = fragment.createEl('button', { text: 'Undo' });
+                undoButton.onclick = () => {
+                    notice.hide();
+                    this.undo(onDone);
+                };
+            }), CONSTANTS.UNDO_NOTICE_DURATION);
         } catch (error) {
-            console.error('Error applying selected style:', error);
-            new Notice('Failed to apply selected style');
+            console.error('Error applying bulk edit:', error);
+            new Notice('Failed to apply bulk edit');
         }
     }
 
     /**
-     * Create preview section
-     * @private
-     * @param {HTMLElement} contentEl - Content element
-     * @returns {HTMLElement} Preview element
+     * Undo the last bulk edit
+     * @param {Function} [onDone] - Callback run after the configurations were restored
      */
-    _createPreviewSection(contentEl) {
-        const previewContainer = contentEl.createDiv();
-        previewContainer.createEl('h5', { text: 'Preview:' });
-        return previewContainer.createDiv({ cls: CONSTANTS.CSS_CLASSES.MODAL_PREVIEW });
-    }
+    async undo(onDone) {
+        const { configManager } = this.plugin;
+        if (configManager.lastBulkEdit && !configManager.isBulkEditCurrent()) {
+            configManager.discardBulkEdit();
+            new Notice('Cannot undo the bulk edit: some of its tags were changed since');
+            return;
+        }
 
-    /**
-     * Setup live preview with debounced updates
-     * @private
-     * @param {object} inputs - Form inputs
-     * @param {HTMLElement} preview - Preview element
-     */
-    _setupLivePreview(inputs, preview) {
-        const debouncedUpdate = FormUtils.debounce(
-            () => this._updatePreview(inputs, preview), 
-            CONSTANTS.PREVIEW_UPDATE_DEBOUNCE
-        );
-        
-        Object.entries(inputs).forEach(([key, input]) => {
-            if (key !== 'useStyleSelect' && input.addEventListener) {
-                input.addEventListener('input', debouncedUpdate);
+        try {
+            const label = await this.plugin.configManager.undoBulkEdit();
+            if (!label) {
+                new Notice('No bulk edit to undo');
+                return;
             }
-        });
+            onDone?.();
+            new Notice(`Undone: ${label}`);
+        } catch (error) {
+            console.error('Error undoing bulk edit:', error);
+            new Notice('Failed to undo bulk edit');
+        }
     }
+}
 
+/**
+ * Sidebar view listing every tag in the vault as a tree, with its badge, note count and
+ * whether it is configured, inherits a style or uses the default style
+ */
+class TagManagerView extends ItemView {
     /**
-     * Update preview element
-     * @private
-     * @param {object} inputs - Form inputs
-     * @param {HTMLElement} preview - Preview element
+     * @param {WorkspaceLeaf} leaf - Leaf the view lives in
+     * @param {TagBadgesPlugin} plugin - Plugin instance
      */
-    _updatePreview(inputs, preview) {
-        preview.empty();
-        preview.style.backgroundColor = inputs.backgroundColorInput.value;
-        preview.style.color = inputs.textColorInput.value;
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+        this.search = '';
+        this.statusFilter = 'all';
+        this.collapsed = new Set();
+        this.selectedTags = new Set();
+        this.requestRender = FormUtils.debounce(() => this.render(), CONSTANTS.REFRESH_DEBOUNCE);
+    }
 
-        // Add icon
-        let iconEl;
-        if (inputs.iconInput.value) {
-            iconEl = preview.createSpan({ cls: CONSTANTS.CSS_CLASSES.BADGE_ICON });
-            IconRenderer.renderIcon(iconEl, inputs.iconInput.value);
-        }
+    getViewType() {
+        return CONSTANTS.TAG_MANAGER_VIEW;
+    }
 
-        // Add text
-        const currentTagName = inputs.tagNameInput.value.trim().replace(/^#+/, '') || this.tagName;
-        const displayText = inputs.aliasInput.value || currentTagName;
-        preview.createSpan({ text: displayText });
+    getDisplayText() {
+        return 'Tag manager';
+    }
+
+    getIcon() {
+        return 'tags';
+    }
+
+    async onOpen() {
+        this.contentEl.empty();
+        this.contentEl.addClass(CONSTANTS.CSS_CLASSES.TAG_MANAGER);
+        this._createToolbar(this.contentEl);
+        this.bulkEl = this.contentEl.createDiv();
+        this.treeEl = this.contentEl.createDiv();
+
+        this.registerEvent(this.app.metadataCache.on('changed', () => this.requestRender()));
+        this.registerEvent(this.app.metadataCache.on('deleted', () => this.requestRender()));
+        this.registerEvent(this.app.vault.on('rename', () => this.requestRender()));
+        this.render();
+    }
+
+    async onClose() {
+        this.requestRender.cancel();
     }
 
     /**
-     * Create action buttons
+     * Create the search input and status filter
      * @private
      * @param {HTMLElement} contentEl - Content element
-     * @param {object} inputs - Form inputs
      */
-    _createActionButtons(contentEl, inputs) {
-        const buttonContainer = contentEl.createDiv();
-        buttonContainer.style.textAlign = 'right';
-        buttonContainer.style.marginTop = '24px';
-
-        // Delete button
-        const deleteButton = buttonContainer.createEl('button', { 
-            text: 'Delete',
-            cls: 'mod-warning'
+    _createToolbar(contentEl) {
+        const toolbar = contentEl.createDiv({ cls: CONSTANTS.CSS_CLASSES.TAG_MANAGER_TOOLBAR });
+
+        const searchInput = toolbar.createEl('input', { type: 'search', placeholder: 'Search tags...' });
+        searchInput.addEventListener('input', FormUtils.debounce(() => {
+            this.search = searchInput.value.trim().toLowerCase();
+            this.render();
+        }, CONSTANTS.PREVIEW_UPDATE_DEBOUNCE));
+
+        const statusSelect = toolbar.createEl('select', { cls: 'dropdown' });
+        Object.entries(CONSTANTS.TAG_STATUSES).forEach(([status, label]) => {
+            statusSelect.createEl('option', { value: status, text: label });
         });
-        deleteButton.style.marginRight = '8px';
-        deleteButton.onclick = () => this._deleteConfiguration();
-
-        // Cancel button
-        const cancelButton = buttonContainer.createEl('button', { text: 'Cancel' });
-        cancelButton.style.marginRight = '8px';
-        cancelButton.onclick = () => this.close();
-
-        // Save button
-        const saveButton = buttonContainer.createEl('button', { 
-            text: 'Save',
-            cls: 'mod-cta'
+        statusSelect.addEventListener('change', () => {
+            this.statusFilter = statusSelect.value;
+            this.render();
         });
-        saveButton.onclick = () => this._saveConfiguration(inputs);
     }
 
     /**
-     * Delete current tag configuration
-     * @private
+     * Render the tag tree
      */
-    async _deleteConfiguration() {
+    render() {
+        if (!this.treeEl) return;
+        this.treeEl.empty();
+        this.bulkEl.empty();
+
         try {
-            await this.configManager.deleteTagConfig(this.originalTagName);
-            new Notice(`Deleted configuration for #${this.originalTagName} (will use default styling)`);
-            this._refreshCurrentView();
-            this.close();
+            const root = this._buildTree();
+            const isFiltered = Boolean(this.search) || this.statusFilter !== 'all';
+            const visibleNodes = this._sortNodes(root.children).filter(node => this._isVisible(node));
+
+            if (visibleNodes.length === 0) {
+                this.treeEl.createDiv({
+                    text: isFiltered ? 'No tags match the filter' : 'No tags in this vault',
+                    cls: CONSTANTS.CSS_CLASSES.NO_TAGS
+                });
+                return;
+            }
+            this._renderBulkToolbar(visibleNodes, isFiltered);
+            visibleNodes.forEach(node => this._renderNode(this.treeEl, node, 0, isFiltered));
         } catch (error) {
-            console.error('Error deleting configuration:', error);
-            new Notice('Failed to delete configuration');
+            console.error('Error rendering tag manager:', error);
+            this.treeEl.createDiv({ text: 'Error loading tags' });
         }
     }
 
     /**
-     * Save current configuration
+     * Render the bulk action toolbar, where "Select all" selects every tag the tree shows
      * @private
-     * @param {object} inputs - Form inputs
+     * @param {object[]} visibleNodes - Visible top-level nodes
+     * @param {boolean} isFiltered - Whether a search or filter is active, which expands every node
      */
-    async _saveConfiguration(inputs) {
-        try {
-            // Validate tag name
-            const tagValidation = FormUtils.validateTagName(inputs.tagNameInput.value);
-            if (!tagValidation.isValid) {
-                new Notice(tagValidation.message);
-                inputs.tagNameInput.focus();
-                return;
+    _renderBulkToolbar(visibleNodes, isFiltered) {
+        const listedTags = [];
+        const collect = (node) => {
+            if (!this._isVisible(node)) return;
+
+            listedTags.push(node.path);
+            // Children of collapsed nodes are hidden, so they are not selected either
+            if (isFiltered || !this.collapsed.has(node.path)) {
+                node.children.forEach(collect);
             }
-
-            const newTagName = tagValidation.tagName;
-            const tagNameChanged = newTagName !== this.originalTagName;
-            
-            // Check if new tag name already exists
-            if (tagNameChanged && this.plugin.settings.tagConfigs[newTagName]) {
-                new Notice(`Configuration for #${newTagName} already exists`);
-                inputs.tagNameInput.focus();
-                return;
-            }
-
-            const newConfig = {
-                icon: inputs.iconInput.value,
-                textColor: inputs.textColorInput.value,
-                backgroundColor: inputs.backgroundColorInput.value,
-                alias: inputs.aliasInput.value
-            };
-
-            // Check if configuration matches defaults
-            if (this.configManager.isDefaultConfig(newConfig)) {
-                // Remove configuration if it matches defaults
-                if (tagNameChanged) {
-                    await this.configManager.deleteTagConfig(this.originalTagName);
-                }
-                new Notice(`Removed custom configuration for #${newTagName} (using defaults)`);
-            } else {
-                // Save the configuration
-                await this.configManager.saveTagConfig(newTagName, newConfig);
-                
-                if (tagNameChanged) {
-                    await this.configManager.deleteTagConfig(this.originalTagName);
-                    new Notice(`Moved configuration from #${this.originalTagName} to #${newTagName}`);
-                } else {
-                    new Notice(`Updated configuration for #${newTagName}`);
-                }
-            }
-            
-            this._refreshCurrentView();
-            this.close();
-        } catch (error) {
-            console.error('Error saving configuration:', error);
-            new Notice('Failed to save configuration');
-        }
+        };
+        visibleNodes.forEach(collect);
+
+        this.updateBulkToolbar = this.plugin.bulkEditor.createToolbar(
+            this.bulkEl, this.selectedTags, listedTags, () => this.render()
+        );
     }
 
     /**
-     * Refresh current view to show updated badges
+     * Build the tag tree from the tags used in the vault and the configured tags, adding
+     * parent tags that are not used on their own
      * @private
+     * @returns {object} Root node whose children are the top-level tags
      */
-    _refreshCurrentView() {
-        const activeLeaf = this.app.workspace.activeLeaf;
-        if (activeLeaf?.view?.previewMode) {
-            activeLeaf.view.previewMode.rerender();
-        }
-    }
-
-    onClose() {
-        const { contentEl } = this;
-        contentEl.empty();
+    _buildTree() {
+        const counts = TagQuery.countTags(
+            this.app.vault.getMarkdownFiles(), this.app.metadataCache, this.plugin.settings.tagSource
+        );
+        const usedTags = new Set(Array.from(counts.keys()).map(tag => tag.toLowerCase()));
+        this.plugin.configManager.getConfiguredTagNames()
+            .filter(tagName => !FrontmatterParser.isPropertyKey(tagName) && !usedTags.has(tagName.toLowerCase()))
+            .forEach(tagName => counts.set(tagName, 0));
+
+        const root = { children: new Map() };
+        counts.forEach((count, tagName) => {
+            let node = root;
+            tagName.split('/').forEach(segment => {
+                const key = segment.toLowerCase();
+                if (!node.children.has(key)) {
+                    // Paths follow the first spelling of each ancestor, as tags are case-insensitive
+                    node.children.set(key, {
+                        name: segment,
+                        path: node.path ? `${node.path}/${segment}` : segment,
+                        count: 0,
+                        children: new Map()
+                    });
+                }
+                node = node.children.get(key);
+            });
+            node.count += count;
+        });
+        return root;
     }
-}
 
-/**
- * Modal for adding new tag configurations
- */
-class AddTagModal extends Modal {
     /**
-     * @param {object} app - Obsidian app instance
-     * @param {Function} onSubmit - Callback function for submission
+     * Sort tree nodes by name
+     * @private
+     * @param {Map} children - Child nodes
+     * @returns {object[]} Sorted nodes
      */
-    constructor(app, onSubmit) {
-        super(app);
-        this.onSubmit = onSubmit;
-    }
-
-    onOpen() {
-        const { contentEl } = this;
-        contentEl.createEl('h3', { text: 'Add Tag Configuration' });
-
-        const inputContainer = contentEl.createDiv();
-        const input = inputContainer.createEl('input', {
-            type: 'text',
-            placeholder: 'Enter tag name (without #)'
-        });
-        input.style.width = '100%';
-        input.style.marginBottom = '16px';
-
-        this._createButtons(contentEl, input);
-        this._setupEventListeners(input);
+    _sortNodes(children) {
+        return Array.from(children.values()).sort((a, b) => a.name.localeCompare(b.name));
     }
 
     /**
-     * Create action buttons
+     * Check if a node matches the search and status filter, or has a descendant that does
      * @private
-     * @param {HTMLElement} contentEl - Content element
-     * @param {HTMLElement} input - Input element
+     * @param {object} node - Tree node
+     * @returns {boolean} True if the node should be shown
      */
-    _createButtons(contentEl, input) {
-        const buttonContainer = contentEl.createDiv();
-        buttonContainer.style.textAlign = 'right';
-
-        const cancelButton = buttonContainer.createEl('button', { text: 'Cancel' });
-        cancelButton.style.marginRight = '8px';
-        cancelButton.onclick = () => this.close();
-
-        const addButton = buttonContainer.createEl('button', { 
-            text: 'Add',
-            cls: 'mod-cta'
-        });
-        addButton.onclick = () => this._handleSubmit(input);
+    _isVisible(node) {
+        const matchesSearch = !this.search || node.path.toLowerCase().includes(this.search);
+        const matchesStatus = this.statusFilter === 'all' || this._getStatus(node.path).kind === this.statusFilter;
+        return (matchesSearch && matchesStatus) ||
+            Array.from(node.children.values()).some(child => this._isVisible(child));
     }
 
     /**
-     * Setup event listeners
+     * Get whether a tag is configured, inherits its style or uses the default style
      * @private
-     * @param {HTMLElement} input - Input element
+     * @param {string} tagName - Tag name
+     * @returns {object} Status with kind and label
      */
-    _setupEventListeners(input) {
-        input.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this._handleSubmit(input);
-            }
-        });
+    _getStatus(tagName) {
+        if (this.plugin.settings.tagConfigs[tagName]) {
+            return { kind: 'configured', label: 'Configured' };
+        }
+
+        const source = this.plugin.configManager.getInheritanceSource(tagName);
+        return source
+            ? { kind: 'inherited', label: `Inherits from ${TagConfigManager.describeSource(source)}` }
+            : { kind: 'default', label: 'Default style' };
     }
 
     /**
-     * Handle form submission
+     * Render a node and, unless collapsed, its visible children
      * @private
-     * @param {HTMLElement} input - Input element
+     * @param {HTMLElement} container - Container element
+     * @param {object} node - Tree node
+     * @param {number} depth - Nesting depth
+     * @param {boolean} isFiltered - Whether a search or filter is active, which expands every node
      */
-    _handleSubmit(input) {
-        const validation = FormUtils.validateTagName(input.value);
-        if (validation.isValid) {
-            this.onSubmit(validation.tagName);
-            this.close();
-        } else {
-            new Notice(validation.message);
-            input.focus();
+    _renderNode(container, node, depth, isFiltered) {
+        const children = this._sortNodes(node.children).filter(child => this._isVisible(child));
+        const isCollapsed = !isFiltered && this.collapsed.has(node.path);
+
+        const row = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.TAG_MANAGER_NODE });
+        row.style.paddingLeft = `${depth * CONSTANTS.TAG_INDENT}px`;
+        row.onclick = () => this.plugin.showTagConfigModal(node.path);
+
+        const checkbox = row.createEl('input', { type: 'checkbox', cls: CONSTANTS.CSS_CLASSES.BULK_CHECKBOX });
+        checkbox.checked = this.selectedTags.has(node.path);
+        checkbox.onclick = (e) => e.stopPropagation();
+        checkbox.onchange = () => {
+            if (checkbox.checked) {
+                this.selectedTags.add(node.path);
+            } else {
+                this.selectedTags.delete(node.path);
+            }
+            this.updateBulkToolbar();
+        };
+
+        const toggle = row.createSpan({ cls: CONSTANTS.CSS_CLASSES.TAG_MANAGER_TOGGLE });
+        if (children.length > 0) {
+            IconRenderer.renderIcon(toggle, isCollapsed ? 'chevron-right' : 'chevron-down');
+            toggle.setAttribute('aria-label', isCollapsed ? 'Expand' : 'Collapse');
+            toggle.onclick = (e) => {
+                e.stopPropagation();
+                if (isCollapsed) {
+                    this.collapsed.delete(node.path);
+                } else {
+                    this.collapsed.add(node.path);
+                }
+                this.render();
+            };
         }
-    }
 
-    onClose() {
-        const { contentEl } = this;
-        contentEl.empty();
+        const badge = row.createDiv({ cls: CONSTANTS.CSS_CLASSES.BADGE });
+        const config = this.plugin.configManager.getTagConfig(node.path);
+        this.plugin.badgeRenderer.applyStyle(badge, config);
+        this.plugin.badgeRenderer.renderContent(badge, config, node.name);
+        this.plugin.tagHover.attach(badge, node.path);
+
+        row.createSpan({ text: String(node.count), cls: CONSTANTS.CSS_CLASSES.TAG_MANAGER_COUNT });
+        const status = this._getStatus(node.path);
+        const statusEl = row.createSpan({ text: status.label, cls: CONSTANTS.CSS_CLASSES.TAG_MANAGER_STATUS });
+        statusEl.toggleClass(CONSTANTS.CSS_CLASSES.TAG_MANAGER_STATUS_CONFIGURED, status.kind === 'configured');
+
+        if (!isCollapsed) {
+            children.forEach(child => this._renderNode(container, child, depth + 1, isFiltered));
+        }
     }
 }
 
@@ -1073,6 +6109,8 @@ class TagBadgesPlugin extends Plugin {
             await this.loadSettings();
             this._initializeManagers();
             this._registerProcessors();
+            this._registerEvents();
+            this._registerCommands();
             this._setupUI();
             
             console.log('Tag Badges Plugin loaded successfully');
@@ -1089,6 +6127,17 @@ class TagBadgesPlugin extends Plugin {
     _initializeManagers() {
         this.configManager = new TagConfigManager(this);
         this.badgeRenderer = new BadgeRenderer(this, this.configManager);
+        this.nativeTagStyler = new NativeTagStyler(this);
+        this.tagActions = new TagActionRunner(this);
+        this.tagHover = new TagHoverPreview(this);
+        this.bulkEditor = new BulkTagEditor(this);
+        this.tagRenamer = new TagRenamer(this);
+        this.editorExtensions = [];
+        this.badgeBlocks = new Set();
+        this.requestBadgeRefresh = FormUtils.debounce(
+            () => this.refreshBadges(),
+            CONSTANTS.REFRESH_DEBOUNCE
+        );
     }
 
     /**
@@ -1097,8 +6146,216 @@ class TagBadgesPlugin extends Plugin {
      */
     _registerProcessors() {
         this.registerMarkdownCodeBlockProcessor('tag-badges', (source, el, ctx) => {
-            this.renderTagBadges(el, ctx);
+            const { isValid, options, errors } = BlockOptionsParser.parse(source);
+            if (!isValid) {
+                el.empty();
+                this._renderBlockErrors(el, errors);
+                return;
+            }
+
+            ctx.addChild(new TagBadgesRenderChild(el, this, ctx, options));
+        });
+
+        this.registerMarkdownCodeBlockProcessor('tag-badges-query', (source, el, ctx) => {
+            const { isValid, options, errors } = BlockOptionsParser.parse(
+                source, QUERY_OPTION_SCHEMA, DEFAULT_QUERY_OPTIONS
+            );
+            if (!isValid) {
+                el.empty();
+                this._renderBlockErrors(el, errors);
+                return;
+            }
+
+            ctx.addChild(new TagQueryRenderChild(el, this, ctx, options));
+        });
+
+        this.registerMarkdownPostProcessor((el, ctx) => this.nativeTagStyler.processReadingView(el, ctx.sourcePath));
+
+        // Lists badge previews in the Page preview settings, where Ctrl/Cmd can be required
+        this.registerHoverLinkSource(CONSTANTS.HOVER_SOURCE_ID, {
+            display: 'Tag badges',
+            defaultMod: false
+        });
+
+        this.registerEditorExtension(this.editorExtensions);
+        if (this.settings.styleNativeTags) {
+            this.editorExtensions.push(this.nativeTagStyler.createEditorExtension());
+        }
+    }
+
+    /**
+     * Register workspace and metadata events
+     * @private
+     */
+    _registerEvents() {
+        this.registerEvent(this.app.metadataCache.on('changed', (file) => {
+            this.tagHover.invalidateCounts();
+            this.badgeBlocks.forEach(block => block.onFileChanged(file));
+            this.nativeTagStyler.refreshFile(file);
+            this.nativeTagStyler.requestPropertiesUpdate();
+        }));
+        // The vault reports every existing file as created while loading, so wait for the layout
+        this.app.workspace.onLayoutReady(() => {
+            ['create', 'rename', 'delete'].forEach(eventName => {
+                this.registerEvent(this.app.vault.on(eventName, (file, oldPath) => {
+                    this.badgeBlocks.forEach(block => block.onVaultChanged(file, oldPath));
+                }));
+            });
+        });
+        ['resolved', 'deleted'].forEach(eventName => {
+            this.registerEvent(this.app.metadataCache.on(eventName, () => this.tagHover.invalidateCounts()));
+        });
+        this.registerEvent(this.app.metadataCache.on('resolved', () => {
+            this.badgeBlocks.forEach(block => block.onLinksResolved());
+        }));
+
+        // Theme switches change which light or dark colours apply
+        this.registerEvent(this.app.workspace.on('css-change', () => this.refreshBadges()));
+
+        ['layout-change', 'active-leaf-change', 'file-open'].forEach(eventName => {
+            this.registerEvent(this.app.workspace.on(eventName, () => {
+                this.nativeTagStyler.requestPropertiesUpdate();
+            }));
+        });
+    }
+
+    /**
+     * Register command palette commands
+     * @private
+     */
+    _registerCommands() {
+        this.addCommand({
+            id: 'export-tag-styles',
+            name: 'Export tag styles',
+            callback: () => this.showExportModal()
+        });
+
+        this.addCommand({
+            id: 'import-tag-styles-from-file',
+            name: 'Import tag styles from file',
+            callback: () => this.importFromFile()
+        });
+
+        this.addCommand({
+            id: 'import-tag-styles-from-clipboard',
+            name: 'Import tag styles from clipboard',
+            callback: () => this.importFromClipboard()
+        });
+
+        this.addCommand({
+            id: 'rerender-tag-badges',
+            name: 'Re-render all tag badges',
+            callback: () => {
+                this.refreshBadges();
+                new Notice('Re-rendered tag badges');
+            }
+        });
+
+        this.addCommand({
+            id: 'insert-tag-badges-block',
+            name: 'Insert tag-badges block',
+            editorCallback: (editor) => {
+                editor.replaceSelection('```tag-badges\n```\n');
+            }
+        });
+
+        this.addCommand({
+            id: 'configure-tag-style',
+            name: 'Configure tag style',
+            callback: () => {
+                new TagSuggestModal(this.app, [], tagName => this.showTagConfigModal(tagName)).open();
+            }
+        });
+
+        this.addCommand({
+            id: 'open-tag-manager',
+            name: 'Open tag manager',
+            callback: () => this.openTagManager()
+        });
+
+        this.addCommand({
+            id: 'undo-bulk-tag-edit',
+            name: 'Undo last bulk tag edit',
+            checkCallback: (checking) => {
+                if (!this.configManager.lastBulkEdit) return false;
+                if (!checking) {
+                    this.bulkEditor.undo();
+                }
+                return true;
+            }
+        });
+
+        this.addCommand({
+            id: 'open-settings-for-note-tags',
+            name: 'Open settings for the current note\'s tags',
+            checkCallback: (checking) => {
+                const file = this.app.workspace.getActiveFile();
+                if (!file) return false;
+                if (!checking) {
+                    this.openSettingsForNote(file);
+                }
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Reveal the tag manager, opening it in the right sidebar if it is not open yet
+     */
+    async openTagManager() {
+        try {
+            let leaf = this.app.workspace.getLeavesOfType(CONSTANTS.TAG_MANAGER_VIEW)[0];
+            if (!leaf) {
+                leaf = this.app.workspace.getRightLeaf(false);
+                await leaf.setViewState({ type: CONSTANTS.TAG_MANAGER_VIEW, active: true });
+            }
+            this.app.workspace.revealLeaf(leaf);
+        } catch (error) {
+            console.error('Error opening tag manager:', error);
+            new Notice('Failed to open tag manager');
+        }
+    }
+
+    /**
+     * Open the plugin's settings tab, listing only the tags of a note
+     * @param {TFile} file - Note whose tags to show
+     */
+    openSettingsForNote(file) {
+        const tags = FrontmatterParser.extractTags(file, this.app.metadataCache, 'both');
+        this.settingTab.tagFilter = { label: file.basename, tags };
+        this.app.setting.open();
+        this.app.setting.openTabById(this.manifest.id);
+    }
+
+    /**
+     * Re-render every tracked tag-badges block in every open leaf
+     */
+    refreshBadges() {
+        this.badgeBlocks.forEach(block => block.render());
+        this.app.workspace.getLeavesOfType(CONSTANTS.TAG_MANAGER_VIEW).forEach(leaf => {
+            if (leaf.view instanceof TagManagerView) {
+                leaf.view.render();
+            }
         });
+        if (this.settings.styleNativeTags) {
+            this.nativeTagStyler.refresh();
+        }
+    }
+
+    /**
+     * Turn badge styling of Obsidian's native tag pills on or off
+     * @param {boolean} enabled - Whether native tags should be styled
+     */
+    async setStyleNativeTags(enabled) {
+        this.settings.styleNativeTags = enabled;
+        await this.saveSettings();
+
+        this.editorExtensions.length = 0;
+        if (enabled) {
+            this.editorExtensions.push(this.nativeTagStyler.createEditorExtension());
+        }
+        this.app.workspace.updateOptions();
+        this.nativeTagStyler.refresh();
     }
 
     /**
@@ -1106,7 +6363,10 @@ class TagBadgesPlugin extends Plugin {
      * @private
      */
     _setupUI() {
-        this.addSettingTab(new TagBadgesSettingTab(this.app, this));
+        this.settingTab = new TagBadgesSettingTab(this.app, this);
+        this.addSettingTab(this.settingTab);
+        this.registerView(CONSTANTS.TAG_MANAGER_VIEW, leaf => new TagManagerView(leaf, this));
+        this.addRibbonIcon('tags', 'Open tag manager', () => this.openTagManager());
         StyleManager.injectStyles();
     }
 
@@ -1114,58 +6374,219 @@ class TagBadgesPlugin extends Plugin {
      * Load plugin settings with validation
      */
     async loadSettings() {
+        let loadedData;
         try {
-            const loadedData = await this.loadData();
-            this.settings = Object.assign({}, DEFAULT_SETTINGS, loadedData);
+            loadedData = await this.loadData();
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            await this._recoverSettings('its settings file could not be read');
+            return;
+        }
+
+        try {
+            const isFirstLoad = !loadedData || Object.keys(loadedData).length === 0;
+            const problems = [];
+            let data = {};
+            if (SettingsValidator.isValidTagConfig(loadedData)) {
+                data = { ...loadedData };
+            } else if (loadedData) {
+                problems.push('Settings file does not contain an object');
+            }
+
+            // Migrate before merging defaults, so the stored version is what gets migrated
+            const appliedMigrations = SettingsMigrator.migrate(data);
+            this.settings = Object.assign(structuredClone(DEFAULT_SETTINGS), data);
             
             // Validate and clean settings
-            this._validateSettings();
+            problems.push(...this._validateSettings());
+
+            if (problems.length > 0 || appliedMigrations.length > 0) {
+                problems.forEach(problem => console.warn('Tag Badges settings:', problem));
+
+                const backupPath = isFirstLoad ? null : await this._backupSettings();
+                if (!isFirstLoad && !backupPath) {
+                    // Never overwrite settings we could not back up, now or on later saves
+                    this.settingsReadOnly = true;
+                    new Notice('Tag Badges: settings need repair, but a backup could not be saved. ' +
+                        'Changes will not be saved until the settings file is fixed');
+                    return;
+                }
+                if (problems.length > 0) {
+                    new Notice(`Tag Badges repaired ${problems.length} problem(s) in its settings; ` +
+                        `a backup was saved to ${backupPath}`);
+                }
+            }
             
-            // Save clean settings if this is first load
-            if (!loadedData || Object.keys(loadedData).length === 0) {
+            // Save clean settings if this is first load, or after repairs and migrations
+            if (isFirstLoad || problems.length > 0 || appliedMigrations.length > 0) {
                 await this.saveSettings();
             }
         } catch (error) {
-            console.error('Error loading settings:', error);
-            this.settings = { ...DEFAULT_SETTINGS };
+            console.error('Error migrating settings:', error);
+            await this._recoverSettings('its settings could not be migrated');
+        }
+    }
+
+    /**
+     * Back up the settings file, then fall back to default settings
+     * @private
+     * @param {string} reason - Why the settings could not be used
+     */
+    async _recoverSettings(reason) {
+        const backupPath = await this._backupSettings();
+        this.settings = structuredClone(DEFAULT_SETTINGS);
+
+        if (backupPath) {
+            new Notice(`Tag Badges: ${reason}. Default settings were restored; a backup was saved to ${backupPath}`);
+            await this.saveSettings();
+        } else {
+            this.settingsReadOnly = true;
+            new Notice(`Tag Badges: ${reason}. Using default settings, without saving changes, until it is fixed`);
+        }
+    }
+
+    /**
+     * Copy the current settings file next to itself with a timestamped name
+     * @private
+     * @returns {Promise<string|null>} Backup path, or null if there was nothing to back up or it failed
+     */
+    async _backupSettings() {
+        try {
+            const adapter = this.app.vault.adapter;
+            const dataPath = `${this.manifest.dir}/data.json`;
+            if (!(await adapter.exists(dataPath))) return null;
+
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const backupPath = `${this.manifest.dir}/data.backup-${timestamp}.json`;
+            await adapter.copy(dataPath, backupPath);
+            return backupPath;
+        } catch (error) {
+            console.error('Error backing up settings:', error);
+            return null;
         }
     }
 
     /**
      * Validate and clean loaded settings
      * @private
+     * @returns {string[]} Descriptions of the problems that were repaired
      */
     _validateSettings() {
-        // Ensure defaultConfig exists and has all required properties
-        if (!this.settings.defaultConfig) {
+        const problems = [];
+
+        // Ensure defaultConfig exists and has all required, valid properties
+        if (!SettingsValidator.isValidTagConfig(this.settings.defaultConfig)) {
+            problems.push('Default configuration was missing or invalid and has been reset');
             this.settings.defaultConfig = { ...DEFAULT_SETTINGS.defaultConfig };
         } else {
-            // Fill in missing properties
+            this.settings.defaultConfig = SettingsValidator.sanitizeConfig(
+                this.settings.defaultConfig, 'Default configuration', problems
+            );
+            // Fill in missing and removed properties
             Object.keys(DEFAULT_SETTINGS.defaultConfig).forEach(key => {
-                if (!(key in this.settings.defaultConfig)) {
+                if (!TagConfigManager.isSet(this.settings.defaultConfig[key])) {
                     this.settings.defaultConfig[key] = DEFAULT_SETTINGS.defaultConfig[key];
                 }
             });
         }
 
+        if (!CONSTANTS.TAG_SOURCES.includes(this.settings.tagSource)) {
+            problems.push(`Unknown tag source "${this.settings.tagSource}" was reset`);
+            this.settings.tagSource = DEFAULT_SETTINGS.tagSource;
+        }
+        if (typeof this.settings.styleNativeTags !== 'boolean') {
+            problems.push('"Style native tags" was not true or false and has been turned off');
+            this.settings.styleNativeTags = false;
+        }
+
+        if (!CONSTANTS.AUTO_COLOR_MODES.includes(this.settings.autoColorMode)) {
+            problems.push(`Unknown auto-color mode "${this.settings.autoColorMode}" was turned off`);
+            this.settings.autoColorMode = 'off';
+        }
+        if (this.settings.autoColorPalette !== 'custom' &&
+            !(this.settings.autoColorPalette in CONSTANTS.AUTO_COLOR_PALETTES)) {
+            problems.push(`Unknown auto-color palette "${this.settings.autoColorPalette}" was reset`);
+            this.settings.autoColorPalette = DEFAULT_SETTINGS.autoColorPalette;
+        }
+        if (!Array.isArray(this.settings.customPalette)) {
+            problems.push('Custom auto-color palette was not a list and has been cleared');
+            this.settings.customPalette = [];
+        }
+        const validPalette = this.settings.customPalette.filter(color => SettingsValidator.isHexColor(color));
+        if (validPalette.length !== this.settings.customPalette.length) {
+            problems.push('Invalid colors were removed from the custom auto-color palette');
+            this.settings.customPalette = validPalette;
+        }
+
+        if (!SettingsValidator.isValidTagConfig(this.settings.clickActions)) {
+            problems.push('Badge click actions were invalid and have been reset');
+            this.settings.clickActions = { ...DEFAULT_SETTINGS.clickActions };
+        }
+        Object.keys(CONSTANTS.CLICK_GESTURES).forEach(gesture => {
+            const action = this.settings.clickActions[gesture];
+            if (!(action in CONSTANTS.CLICK_ACTIONS)) {
+                if (TagConfigManager.isSet(action)) {
+                    problems.push(`Unknown click action "${action}" was reset`);
+                }
+                this.settings.clickActions[gesture] = DEFAULT_SETTINGS.clickActions[gesture];
+            }
+        });
+        ['tagNotePath', 'dataviewQuery'].forEach(key => {
+            if (typeof this.settings[key] !== 'string') {
+                problems.push(`"${key}" was not text and has been reset`);
+                this.settings[key] = DEFAULT_SETTINGS[key];
+            }
+        });
+
+        if (!Array.isArray(this.settings.recentIcons)) {
+            problems.push('Recently used icons were not a list and have been cleared');
+            this.settings.recentIcons = [];
+        }
+        this.settings.recentIcons = this.settings.recentIcons.filter(iconName => typeof iconName === 'string');
+
         // Ensure tagConfigs exists
-        if (!this.settings.tagConfigs) {
+        if (!SettingsValidator.isValidTagConfig(this.settings.tagConfigs)) {
+            problems.push('Tag configurations were not an object and have been cleared');
             this.settings.tagConfigs = {};
         }
 
-        // Clean invalid tag configurations
+        // Clean invalid tag configurations and properties
         Object.keys(this.settings.tagConfigs).forEach(tagName => {
             const config = this.settings.tagConfigs[tagName];
-            if (!config || typeof config !== 'object') {
+            if (!SettingsValidator.isValidTagConfig(config)) {
+                problems.push(`#${tagName}: invalid configuration was removed`);
                 delete this.settings.tagConfigs[tagName];
+            } else {
+                this.settings.tagConfigs[tagName] = SettingsValidator.sanitizeConfig(config, `#${tagName}`, problems);
             }
         });
+
+        // Clean invalid pattern rules
+        if (!Array.isArray(this.settings.tagRules)) {
+            problems.push('Pattern rules were not a list and have been cleared');
+            this.settings.tagRules = [];
+        }
+        this.settings.tagRules = this.settings.tagRules
+            .filter(rule => {
+                const isValid = SettingsValidator.isValidRule(rule);
+                if (!isValid) problems.push(`Invalid pattern rule "${rule?.pattern}" was removed`);
+                return isValid;
+            })
+            .map(rule => ({
+                ...rule,
+                config: SettingsValidator.sanitizeConfig(rule.config, `Rule "${rule.pattern}"`, problems)
+            }));
+
+        return problems;
     }
 
     /**
      * Save plugin settings
      */
     async saveSettings() {
+        // Set when the settings file needed repair but could not be backed up
+        if (this.settingsReadOnly) return;
+
         try {
             await this.saveData(this.settings);
         } catch (error) {
@@ -1178,32 +6599,126 @@ class TagBadgesPlugin extends Plugin {
      * Render tag badges in the provided element
      * @param {HTMLElement} el - Element to render badges in
      * @param {object} ctx - Markdown processing context
+     * @param {object} [options] - Parsed code block options
+     * @returns {string|null} Path of the note the badges were read from or, if it could not be
+     *     read, the path or link the block points to
      */
-    renderTagBadges(el, ctx) {
+    renderTagBadges(el, ctx, options = DEFAULT_BLOCK_OPTIONS) {
         el.empty();
 
+        // Kept when the note cannot be read, so the block can re-render once it can
+        let targetPath = ctx?.sourcePath || null;
         try {
-            const file = this.app.workspace.getActiveFile();
+            const { file, error, target } = this._resolveBlockFile(ctx, options);
+            targetPath = file ? file.path : target;
+            if (error) {
+                this._renderBlockErrors(el, [error]);
+                return targetPath;
+            }
             if (!file) {
-                el.createDiv({ text: 'No active file found' });
-                return;
+                el.createDiv({ text: 'No source file found' });
+                return targetPath;
             }
 
-            const tags = FrontmatterParser.extractTags(file, this.app.metadataCache);
+            const source = options.source || this.settings.tagSource;
+            const tagCounts = FrontmatterParser.extractTagCounts(file, this.app.metadataCache, source);
+            const propertyKeys = FrontmatterParser.extractPropertyKeys(
+                file, this.app.metadataCache, options.properties
+            );
             
-            if (tags.length === 0) {
+            if (tagCounts.length === 0 && propertyKeys.length === 0 && !options.editable) {
                 el.createDiv({ 
-                    text: 'No tags found in frontmatter',
+                    text: source === 'frontmatter' ? 'No tags found in frontmatter' : 'No tags found in note',
                     cls: CONSTANTS.CSS_CLASSES.NO_TAGS
                 });
-                return;
+                return file.path;
+            }
+
+            const counts = new Map(tagCounts.map(entry => [entry.tag, entry.count]));
+            // Property badges follow the tags, in the order the properties option lists them
+            const visibleTags = [
+                ...BlockOptionsParser.applyToTags(Array.from(counts.keys()), options, counts),
+                ...propertyKeys
+            ];
+
+            if (visibleTags.length === 0 && !options.editable) {
+                el.createDiv({
+                    text: 'No tags match the block options',
+                    cls: CONSTANTS.CSS_CLASSES.NO_TAGS
+                });
+                return file.path;
             }
 
-            this._renderBadgeContainer(el, tags);
+            this._renderBadgeContainer(el, visibleTags, options, counts, file.path);
+            return file.path;
         } catch (error) {
             console.error('Error rendering tag badges:', error);
             el.createDiv({ text: 'Error loading tags' });
+            return targetPath;
+        }
+    }
+
+    /**
+     * Render badges for the union of tags across the notes a `tag-badges-query` block matches
+     * @param {HTMLElement} el - Code block element
+     * @param {object} ctx - Markdown processing context
+     * @param {object} options - Parsed query options
+     */
+    renderTagQuery(el, ctx, options) {
+        el.empty();
+
+        try {
+            const { files, error } = TagQuery.collectFiles(this.app, options, ctx?.sourcePath || '');
+            if (error) {
+                this._renderBlockErrors(el, [error]);
+                return;
+            }
+
+            const source = options.source || this.settings.tagSource;
+            const counts = TagQuery.countTags(files, this.app.metadataCache, source, options.properties);
+            const frequentTags = Array.from(counts.keys()).filter(tag => counts.get(tag) >= options.min);
+            const visibleTags = BlockOptionsParser.applyToTags(frequentTags, options, counts);
+
+            if (visibleTags.length === 0) {
+                el.createDiv({
+                    text: `No tags found in ${files.length} matching note(s)`,
+                    cls: CONSTANTS.CSS_CLASSES.NO_TAGS
+                });
+                return;
+            }
+
+            this._renderBadgeContainer(el, visibleTags, options, counts, null);
+        } catch (error) {
+            console.error('Error rendering tag query:', error);
+            el.createDiv({ text: 'Error loading tags' });
+        }
+    }
+
+    /**
+     * Resolve the note whose tags a code block should show
+     * @private
+     * @param {object} ctx - Markdown processing context
+     * @param {object} options - Parsed code block options
+     * @returns {object} Result with file (TFile or null), target (the linkpath or note path the
+     *     block points to) and optional error
+     */
+    _resolveBlockFile(ctx, options) {
+        const sourcePath = ctx?.sourcePath || '';
+
+        if (options.file) {
+            const linkpath = options.file
+                .replace(/^\[\[|\]\]$/g, '')
+                .split('|')[0]
+                .split('#')[0]
+                .trim();
+            const file = this.app.metadataCache.getFirstLinkpathDest(linkpath, sourcePath);
+            return file
+                ? { file, target: file.path }
+                : { file: null, target: linkpath, error: `Note not found: ${options.file}` };
         }
+
+        const file = this.app.vault.getAbstractFileByPath(sourcePath);
+        return { file: file instanceof TFile ? file : null, target: sourcePath };
     }
 
     /**
@@ -1211,13 +6726,32 @@ class TagBadgesPlugin extends Plugin {
      * @private
      * @param {HTMLElement} el - Container element
      * @param {string[]} tags - Array of tag names
+     * @param {object} options - Parsed code block options
+     * @param {Map<string, number>} counts - Occurrences per tag
+     * @param {string|null} sourcePath - Path of the note the tags were read from, if from a single note
      */
-    _renderBadgeContainer(el, tags) {
-        const container = el.createDiv({ cls: CONSTANTS.CSS_CLASSES.CONTAINER });
+    _renderBadgeContainer(el, tags, options, counts, sourcePath) {
+        const container = el.createDiv({ cls: [
+            CONSTANTS.CSS_CLASSES.CONTAINER,
+            `tag-badges-layout-${options.layout}`
+        ] });
+        if (options.size) {
+            // The block's size overrides each badge's own size
+            container.addClass(`tag-badges-size-${options.size}`);
+        }
+
+        const file = options.editable ? this.app.vault.getAbstractFileByPath(sourcePath) : null;
+        const editor = file instanceof TFile
+            ? new BadgeBlockEditor(this, file, options.sort === 'none')
+            : null;
 
         tags.forEach(tag => {
             try {
-                this.badgeRenderer.createBadge(container, tag);
+                const badge = this.badgeRenderer.createBadge(container, tag, {
+                    count: options.counts ? counts.get(tag) : null,
+                    sourcePath
+                });
+                editor?.makeEditable(badge, tag, tags);
             } catch (error) {
                 console.error(`Error creating badge for tag "${tag}":`, error);
                 // Create fallback badge
@@ -1229,6 +6763,71 @@ class TagBadgesPlugin extends Plugin {
                 fallbackBadge.style.color = DEFAULT_SETTINGS.defaultConfig.textColor;
             }
         });
+
+        editor?.createAddBadge(container, tags);
+    }
+
+    /**
+     * Render code block errors inline
+     * @private
+     * @param {HTMLElement} el - Container element
+     * @param {string[]} errors - Error messages
+     */
+    _renderBlockErrors(el, errors) {
+        const errorEl = el.createDiv({ cls: CONSTANTS.CSS_CLASSES.BLOCK_ERROR });
+        errorEl.createEl('strong', { text: 'Invalid tag-badges block' });
+
+        const list = errorEl.createEl('ul');
+        errors.forEach(error => list.createEl('li', { text: error }));
+    }
+
+    /**
+     * Remember an icon as recently used
+     * @param {string} iconName - Icon name
+     */
+    async addRecentIcon(iconName) {
+        this.settings.recentIcons = [
+            iconName,
+            ...this.settings.recentIcons.filter(recentIcon => recentIcon !== iconName)
+        ].slice(0, CONSTANTS.RECENT_ICON_LIMIT);
+        await this.saveSettings();
+    }
+
+    /**
+     * Show the export modal for tag style configurations
+     */
+    showExportModal() {
+        new ExportConfigModal(this.app, this).open();
+    }
+
+    /**
+     * Choose a vault file and import tag style configurations from it
+     * @param {Function} [onImport] - Callback run after importing
+     */
+    importFromFile(onImport) {
+        new ImportFileSuggestModal(this.app, async (file) => {
+            try {
+                const text = await this.app.vault.read(file);
+                new ImportConfigModal(this.app, this, text, onImport).open();
+            } catch (error) {
+                console.error('Error reading import file:', error);
+                new Notice(`Failed to read ${file.path}`);
+            }
+        }).open();
+    }
+
+    /**
+     * Import tag style configurations from the clipboard
+     * @param {Function} [onImport] - Callback run after importing
+     */
+    async importFromClipboard(onImport) {
+        try {
+            const text = await navigator.clipboard.readText();
+            new ImportConfigModal(this.app, this, text, onImport).open();
+        } catch (error) {
+            console.error('Error reading clipboard:', error);
+            new Notice('Failed to read the clipboard');
+        }
     }
 
     /**
@@ -1254,6 +6853,9 @@ class TagBadgesPlugin extends Plugin {
      * Plugin cleanup
      */
     onunload() {
+        this.requestBadgeRefresh?.cancel();
+        this.nativeTagStyler?.requestPropertiesUpdate.cancel();
+        this.nativeTagStyler?.clearProperties();
         StyleManager.removeStyles();
         console.log('Tag Badges Plugin unloaded');
     }
@@ -1270,14 +6872,54 @@ class TagBadgesSettingTab extends PluginSettingTab {
     constructor(app, plugin) {
         super(app, plugin);
         this.plugin = plugin;
+        // Set by the "open settings for the current note's tags" command
+        this.tagFilter = null;
+        this.selectedTags = new Set();
     }
 
     display() {
         const { containerEl } = this;
         containerEl.empty();
 
+        this._createGeneralSection(containerEl);
         this._createDefaultConfigSection(containerEl);
+        this._createAutoColorSection(containerEl);
+        this._createClickActionsSection(containerEl);
         this._createTagConfigsSection(containerEl);
+        this._createTagRulesSection(containerEl);
+        this._createTransferSection(containerEl);
+    }
+
+    /**
+     * Create general settings section
+     * @private
+     * @param {HTMLElement} container - Container element
+     */
+    _createGeneralSection(container) {
+        new Setting(container)
+            .setName('Tag source')
+            .setDesc('Where tag-badges blocks read tags from, unless the block sets its own "source" option')
+            .addDropdown(dropdown => {
+                dropdown.addOption('frontmatter', 'Frontmatter tags')
+                    .addOption('inline', 'Inline #tags')
+                    .addOption('both', 'Frontmatter and inline tags')
+                    .setValue(this.plugin.settings.tagSource)
+                    .onChange(async (value) => {
+                        this.plugin.settings.tagSource = value;
+                        await this.plugin.saveSettings();
+                        this.plugin.requestBadgeRefresh();
+                    });
+            });
+
+        new Setting(container)
+            .setName('Style native tags')
+            .setDesc('Replace Obsidian\'s tag pills with badges in Reading view, Live Preview and the Properties panel')
+            .addToggle(toggle => {
+                toggle.setValue(this.plugin.settings.styleNativeTags)
+                    .onChange(async (value) => {
+                        await this.plugin.setStyleNativeTags(value);
+                    });
+            });
     }
 
     /**
@@ -1293,46 +6935,231 @@ class TagBadgesSettingTab extends PluginSettingTab {
         });
 
         const config = this.plugin.settings.defaultConfig;
+        let iconText;
 
         // Icon setting
         new Setting(container)
             .setName('Icon')
             .setDesc('Choose a Lucide icon for default badges')
             .addText(text => {
+                iconText = text;
                 text.setPlaceholder(null)
                     .setValue(config.icon)
                     .onChange(async (value) => {
                         //this.plugin.settings.defaultConfig.icon = value || CONSTANTS.DEFAULT_ICON;
                         this.plugin.settings.defaultConfig.icon = value;
                         await this.plugin.saveSettings();
+                        this.plugin.requestBadgeRefresh();
+                    });
+                text.inputEl.addEventListener('change', () => IconRenderer.warnIfUnknown(text.getValue()));
+            })
+            .addExtraButton(button => {
+                button.setIcon('search')
+                    .setTooltip('Choose icon')
+                    .onClick(() => {
+                        new IconPickerModal(this.app, this.plugin, async (iconName) => {
+                            iconText.setValue(iconName);
+                            try {
+                                this.plugin.settings.defaultConfig.icon = iconName;
+                                await this.plugin.saveSettings();
+                                this.plugin.requestBadgeRefresh();
+                            } catch (error) {
+                                console.error('Error saving default icon:', error);
+                                new Notice('Failed to save default icon');
+                            }
+                        }).open();
                     });
             });
 
         // Text color setting
+        this._addDefaultColorControl(
+            new Setting(container)
+                .setName('Text Color')
+                .setDesc('Choose the default badge text color, separate light and dark colors, or a CSS variable; ' +
+                    'Auto picks black or white to contrast with the background'),
+            'textColor',
+            { allowAuto: true }
+        );
+
+        // Background color setting
+        this._addDefaultColorControl(
+            new Setting(container)
+                .setName('Background Color')
+                .setDesc('Choose the default badge background color, separate light and dark colors, or a CSS variable'),
+            'backgroundColor'
+        );
+
+        // Shape, size and font weight settings
+        ['shape', 'size', 'fontWeight'].forEach(key => {
+            const field = CONFIG_FIELDS.find(candidate => candidate.key === key);
+            new Setting(container)
+                .setName(field.label.replace(/:$/, ''))
+                .addDropdown(dropdown => {
+                    dropdown.addOptions(field.options)
+                        .setValue(String(config[key]))
+                        .onChange(value => this._saveDefaultConfigField(key, value));
+                });
+        });
+
+        // Border settings
+        const borderSetting = new Setting(container)
+            .setName('Border')
+            .setDesc('Border color and width in pixels; a width of 0 hides the border');
+        this._addDefaultColorControl(borderSetting, 'borderColor');
+        borderSetting
+            .addSlider(slider => {
+                slider.setLimits(0, CONSTANTS.MAX_BORDER_WIDTH, 1)
+                    .setValue(config.borderWidth)
+                    .setDynamicTooltip()
+                    .onChange(value => this._saveDefaultConfigField('borderWidth', value));
+            });
+
+        // Gradient setting
+        this._addDefaultColorControl(
+            new Setting(container)
+                .setName('Gradient')
+                .setDesc('Optional second color blended from the background color; choose None for a solid background'),
+            'gradientColor',
+            { optional: true }
+        );
+    }
+
+    /**
+     * Add a theme-aware colour input for a default configuration property to a setting
+     * @private
+     * @param {Setting} setting - Setting to add the input to
+     * @param {string} key - Property name
+     * @param {object} [options] - ThemeColorInput options
+     */
+    _addDefaultColorControl(setting, key, options = {}) {
+        const input = new ThemeColorInput(setting.controlEl, this.plugin.settings.defaultConfig[key], options);
+        input.addEventListener('input', FormUtils.debounce(async () => {
+            // Half-typed CSS variables are not saved
+            if (SettingsValidator.FIELD_VALIDATORS[key](input.value)) {
+                await this._saveDefaultConfigField(key, input.value);
+            }
+        }, CONSTANTS.PREVIEW_UPDATE_DEBOUNCE));
+    }
+
+    /**
+     * Create the auto-coloring section
+     * @private
+     * @param {HTMLElement} container - Container element
+     */
+    _createAutoColorSection(container) {
+        const { settings } = this.plugin;
+
         new Setting(container)
-            .setName('Text Color')
-            .setDesc('Choose the default badge text color')
-            .addColorPicker(color => {
-                color.setValue(config.textColor)
+            .setName('Auto-color unconfigured tags')
+            .setDesc('Give tags that would use the default background a stable color from a palette, ' +
+                'chosen from the tag name or from its top-level tag so tag families share a color')
+            .addDropdown(dropdown => {
+                dropdown.addOption('off', 'Off')
+                    .addOption('tag', 'By tag name')
+                    .addOption('root', 'By top-level tag')
+                    .setValue(settings.autoColorMode)
                     .onChange(async (value) => {
-                        this.plugin.settings.defaultConfig.textColor = value;
+                        settings.autoColorMode = value;
+                        await this.plugin.saveSettings();
+                        this.plugin.requestBadgeRefresh();
+                    });
+            });
+
+        new Setting(container)
+            .setName('Auto-color palette')
+            .addDropdown(dropdown => {
+                dropdown.addOption('tailwind', 'Tailwind')
+                    .addOption('catppuccin', 'Catppuccin')
+                    .addOption('custom', 'Custom')
+                    .setValue(settings.autoColorPalette)
+                    .onChange(async (value) => {
+                        settings.autoColorPalette = value;
+                        await this.plugin.saveSettings();
+                        this.plugin.requestBadgeRefresh();
+                        this.display();
+                    });
+            });
+
+        if (settings.autoColorPalette === 'custom') {
+            new Setting(container)
+                .setName('Custom palette')
+                .setDesc('Hex colors separated by commas or spaces, e.g. #e11d48, #2563eb, #16a34a')
+                .addTextArea(text => {
+                    text.setValue(settings.customPalette.join(', '))
+                        .onChange(async (value) => {
+                            settings.customPalette = value.split(/[\s,]+/)
+                                .filter(color => SettingsValidator.isHexColor(color));
+                            await this.plugin.saveSettings();
+                            this.plugin.requestBadgeRefresh();
+                        });
+                });
+        }
+    }
+
+    /**
+     * Create the badge click actions section
+     * @private
+     * @param {HTMLElement} container - Container element
+     */
+    _createClickActionsSection(container) {
+        container.createEl('br');
+        container.createEl('b', { text: 'Badge Click Actions' });
+        container.createEl('p', {
+            text: 'Choose what clicking a badge does. Enter and Space act like a click, with the same modifier keys.',
+            cls: 'setting-item-description'
+        });
+
+        const { settings } = this.plugin;
+        Object.entries(CONSTANTS.CLICK_GESTURES).forEach(([gesture, gestureLabel]) => {
+            new Setting(container)
+                .setName(gestureLabel)
+                .addDropdown(dropdown => {
+                    dropdown.addOptions(CONSTANTS.CLICK_ACTIONS)
+                        .setValue(settings.clickActions[gesture])
+                        .onChange(async (value) => {
+                            settings.clickActions[gesture] = value;
+                            await this.plugin.saveSettings();
+                        });
+                });
+        });
+
+        new Setting(container)
+            .setName('Tag note path')
+            .setDesc('Note opened by "Open the tag\'s note", with {{tag}} replaced by the tag name; missing notes are created')
+            .addText(text => {
+                text.setPlaceholder(DEFAULT_SETTINGS.tagNotePath)
+                    .setValue(settings.tagNotePath)
+                    .onChange(async (value) => {
+                        settings.tagNotePath = value;
                         await this.plugin.saveSettings();
                     });
             });
 
-        // Background color setting
         new Setting(container)
-            .setName('Background Color')
-            .setDesc('Choose the default badge background color')
-            .addColorPicker(color => {
-                color.setValue(config.backgroundColor)
+            .setName('Dataview query')
+            .setDesc('Query run by "Run a Dataview query", with {{tag}} replaced by the tag name')
+            .addText(text => {
+                text.setPlaceholder(DEFAULT_SETTINGS.dataviewQuery)
+                    .setValue(settings.dataviewQuery)
                     .onChange(async (value) => {
-                        this.plugin.settings.defaultConfig.backgroundColor = value;
+                        settings.dataviewQuery = value;
                         await this.plugin.saveSettings();
                     });
             });
     }
 
+    /**
+     * Save one property of the default configuration and refresh badges
+     * @private
+     * @param {string} key - Property name
+     * @param {*} value - New value
+     */
+    async _saveDefaultConfigField(key, value) {
+        this.plugin.settings.defaultConfig[key] = value;
+        await this.plugin.saveSettings();
+        this.plugin.requestBadgeRefresh();
+    }
+
     /**
      * Create tag-specific configurations section
      * @private
@@ -1345,7 +7172,7 @@ class TagBadgesSettingTab extends PluginSettingTab {
         // Add tag button
         new Setting(container)
             .setName('Add tag configuration')
-            .setDesc('Configure a specific tag with custom styling and alias')
+            .setDesc('Configure a specific tag with custom styling and alias, or a property value as property:value (e.g. status:done)')
             .addButton(button => {
                 button.setButtonText('Add Tag')
                     .onClick(() => this._showAddTagModal());
@@ -1354,6 +7181,15 @@ class TagBadgesSettingTab extends PluginSettingTab {
         // Display existing configurations
         const tagConfigsContainer = container.createDiv({ cls: 'tag-configs-container' });
         this._displayTagConfigs(tagConfigsContainer);
+
+        if (this.tagFilter) {
+            tagConfigsContainer.scrollIntoView();
+        }
+    }
+
+    hide() {
+        this.tagFilter = null;
+        super.hide();
     }
 
     /**
@@ -1364,7 +7200,21 @@ class TagBadgesSettingTab extends PluginSettingTab {
     _displayTagConfigs(container) {
         container.empty();
         
-        const tagNames = this.plugin.configManager.getConfiguredTagNames();
+        let tagNames = this.plugin.configManager.getConfiguredTagNames();
+        if (this.tagFilter) {
+            tagNames = this.tagFilter.tags;
+            new Setting(container)
+                .setName(`Showing the tags of ${this.tagFilter.label}`)
+                .setDesc(tagNames.length === 0 ? 'This note has no tags.' : '')
+                .addButton(button => {
+                    button.setButtonText('Show all')
+                        .onClick(() => {
+                            this.tagFilter = null;
+                            this._displayTagConfigs(container);
+                        });
+                });
+            if (tagNames.length === 0) return;
+        }
         
         if (tagNames.length === 0) {
             container.createEl('p', { 
@@ -1374,6 +7224,26 @@ class TagBadgesSettingTab extends PluginSettingTab {
             return;
         }
 
+        const failingCount = tagNames.filter(tagName => {
+            const result = ColorContrast.checkConfig(this.plugin.configManager.getTagConfig(tagName));
+            return result && !result.passesAA;
+        }).length;
+        if (failingCount > 0) {
+            container.createEl('p', {
+                text: `${failingCount} configuration(s) fail the WCAG AA contrast ratio of ` +
+                    `${CONSTANTS.WCAG_AA_RATIO}:1 and may be hard to read.`,
+                cls: ['setting-item-description', CONSTANTS.CSS_CLASSES.CONTRAST_FAIL]
+            });
+        }
+
+        // Selections of tags no longer listed are dropped
+        Array.from(this.selectedTags)
+            .filter(tagName => !tagNames.includes(tagName))
+            .forEach(tagName => this.selectedTags.delete(tagName));
+        this.updateBulkToolbar = this.plugin.bulkEditor.createToolbar(
+            container, this.selectedTags, tagNames, () => this._displayTagConfigs(container)
+        );
+
         // Create list items for each configured tag
         tagNames.forEach(tagName => {
             this._createTagListItem(container, tagName);
@@ -1388,12 +7258,35 @@ class TagBadgesSettingTab extends PluginSettingTab {
      */
     _createTagListItem(container, tagName) {
         const listItem = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.TAG_LIST_ITEM });
+
+        // Selection for bulk actions
+        const checkbox = listItem.createEl('input', { type: 'checkbox', cls: CONSTANTS.CSS_CLASSES.BULK_CHECKBOX });
+        checkbox.checked = this.selectedTags.has(tagName);
+        checkbox.onchange = () => {
+            if (checkbox.checked) {
+                this.selectedTags.add(tagName);
+            } else {
+                this.selectedTags.delete(tagName);
+            }
+            this.updateBulkToolbar();
+        };
         
         // Tag name
-        listItem.createDiv({ 
-            text: `#${tagName}`, 
+        const nameEl = listItem.createDiv({ 
+            text: TagConfigManager.formatKey(tagName), 
             cls: CONSTANTS.CSS_CLASSES.TAG_LIST_NAME 
         });
+
+        // Contrast of the resolved style, including inherited colours
+        const contrast = ColorContrast.checkConfig(this.plugin.configManager.getTagConfig(tagName));
+        if (contrast) {
+            const contrastEl = nameEl.createSpan({
+                text: `${contrast.ratio.toFixed(1)}:1`,
+                cls: CONSTANTS.CSS_CLASSES.CONTRAST_READOUT
+            });
+            contrastEl.title = ColorContrast.describe(contrast);
+            contrastEl.toggleClass(CONSTANTS.CSS_CLASSES.CONTRAST_FAIL, !contrast.passesAA);
+        }
         
         // Buttons container
         const buttonsContainer = listItem.createDiv({ 
@@ -1415,7 +7308,20 @@ class TagBadgesSettingTab extends PluginSettingTab {
         configureButton.onclick = () => {
             this.plugin.showTagConfigModal(tagName);
         };
+
+        // Tags listed by the note filter may not be configured yet
+        const isConfigured = Boolean(this.plugin.settings.tagConfigs[tagName]);
         
+        // Rename button; property values are renamed by editing the notes' properties
+        if (!FrontmatterParser.isPropertyKey(tagName)) {
+            const renameButton = container.createEl('button', { text: 'Rename' });
+            renameButton.title = 'Rename this tag in every note, with its child tags and configurations';
+            renameButton.onclick = () => {
+                this.plugin.tagActions.showRenameModal(tagName, () => this.display());
+            };
+        }
+        if (!isConfigured) return;
+
         // Duplicate button
         const duplicateButton = container.createEl('button', { text: 'Duplicate' });
         duplicateButton.onclick = async () => {
@@ -1470,18 +7376,254 @@ class TagBadgesSettingTab extends PluginSettingTab {
             counter++;
         }
 
-        // Create deep copy of configuration
-        const duplicatedConfig = {
-            icon: originalConfig.icon,
-            textColor: originalConfig.textColor,
-            backgroundColor: originalConfig.backgroundColor,
-            alias: originalConfig.alias
-        };
+        // Copy only the properties the original sets, so inherited ones stay inherited
+        const duplicatedConfig = { ...originalConfig };
 
         await this.plugin.configManager.saveTagConfig(duplicatedTagName, duplicatedConfig);
         return duplicatedTagName;
     }
 
+    /**
+     * Create pattern rules section
+     * @private
+     * @param {HTMLElement} container - Container element
+     */
+    _createTagRulesSection(container) {
+        container.createEl('br');
+        container.createEl('b', { text: 'Pattern Rules' });
+        container.createEl('p', {
+            text: 'Style tags by glob (status/*, */urgent, project/**) or regex (^20\\d\\d$). ' +
+                'Rules apply after a tag\'s own configuration and before its parent tags; ' +
+                'drag rules to change their priority.',
+            cls: 'setting-item-description'
+        });
+
+        let newRuleType = 'glob';
+        new Setting(container)
+            .setName('Add pattern rule')
+            .setDesc('Create a rule matching tags by pattern')
+            .addDropdown(dropdown => {
+                dropdown.addOption('glob', 'Glob')
+                    .addOption('regex', 'Regex')
+                    .setValue(newRuleType)
+                    .onChange(value => { newRuleType = value; });
+            })
+            .addButton(button => {
+                button.setButtonText('Add Rule')
+                    .onClick(() => this._showRuleModal({
+                        id: FormUtils.generateId(),
+                        type: newRuleType,
+                        pattern: '',
+                        config: {}
+                    }));
+            });
+
+        const rulesContainer = container.createDiv({ cls: 'tag-rules-container' });
+        this._displayTagRules(rulesContainer);
+
+        this._createRuleTester(container);
+    }
+
+    /**
+     * Display pattern rules in priority order
+     * @private
+     * @param {HTMLElement} container - Container element
+     */
+    _displayTagRules(container) {
+        container.empty();
+
+        const rules = this.plugin.settings.tagRules;
+        if (rules.length === 0) {
+            container.createEl('p', {
+                text: 'No pattern rules yet.',
+                cls: 'setting-item-description'
+            });
+            return;
+        }
+
+        rules.forEach((rule, index) => {
+            this._createRuleListItem(container, rule, index);
+        });
+    }
+
+    /**
+     * Create a draggable list item for a pattern rule
+     * @private
+     * @param {HTMLElement} container - Container element
+     * @param {object} rule - Pattern rule
+     * @param {number} index - Priority position
+     */
+    _createRuleListItem(container, rule, index) {
+        const listItem = container.createDiv({
+            cls: [CONSTANTS.CSS_CLASSES.TAG_LIST_ITEM, CONSTANTS.CSS_CLASSES.RULE_LIST_ITEM]
+        });
+        listItem.draggable = true;
+
+        const handle = listItem.createSpan({ cls: CONSTANTS.CSS_CLASSES.RULE_DRAG_HANDLE });
+        IconRenderer.renderIcon(handle, 'grip-vertical');
+
+        const nameEl = listItem.createDiv({ cls: CONSTANTS.CSS_CLASSES.TAG_LIST_NAME });
+        nameEl.appendText(`${index + 1}. ${rule.type} `);
+        nameEl.createEl('code', { text: rule.pattern });
+
+        const preview = listItem.createSpan({ cls: CONSTANTS.CSS_CLASSES.BADGE });
+        const previewConfig = this.plugin.configManager.getRulePreviewConfig(rule);
+        this.plugin.badgeRenderer.applyStyle(preview, previewConfig);
+        this.plugin.badgeRenderer.renderContent(preview, previewConfig, rule.pattern);
+
+        const buttonsContainer = listItem.createDiv({ 
+            cls: CONSTANTS.CSS_CLASSES.TAG_LIST_BUTTONS 
+        });
+
+        const configureButton = buttonsContainer.createEl('button', { text: 'Configure' });
+        configureButton.onclick = () => this._showRuleModal(rule);
+
+        const deleteButton = buttonsContainer.createEl('button', { 
+            text: 'Delete',
+            cls: 'mod-warning'
+        });
+        deleteButton.onclick = async () => {
+            try {
+                await this.plugin.configManager.deleteRule(rule.id);
+                this.display();
+                new Notice(`Deleted rule "${rule.pattern}"`);
+            } catch (error) {
+                console.error('Error deleting rule:', error);
+                new Notice('Failed to delete rule');
+            }
+        };
+
+        this._addRuleDragListeners(listItem, rule, index);
+    }
+
+    /**
+     * Add drag and drop listeners for reordering a rule
+     * @private
+     * @param {HTMLElement} listItem - Rule list item
+     * @param {object} rule - Pattern rule
+     * @param {number} index - Priority position
+     */
+    _addRuleDragListeners(listItem, rule, index) {
+        listItem.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', rule.id);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        listItem.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            listItem.addClass(CONSTANTS.CSS_CLASSES.RULE_DRAG_OVER);
+        });
+
+        listItem.addEventListener('dragleave', () => {
+            listItem.removeClass(CONSTANTS.CSS_CLASSES.RULE_DRAG_OVER);
+        });
+
+        listItem.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            listItem.removeClass(CONSTANTS.CSS_CLASSES.RULE_DRAG_OVER);
+
+            const draggedId = e.dataTransfer.getData('text/plain');
+            if (!draggedId || draggedId === rule.id) return;
+
+            try {
+                await this.plugin.configManager.moveRule(draggedId, index);
+                this.display();
+            } catch (error) {
+                console.error('Error reordering rules:', error);
+                new Notice('Failed to reorder rules');
+            }
+        });
+    }
+
+    /**
+     * Create the "which rule matches this tag?" tester
+     * @private
+     * @param {HTMLElement} container - Container element
+     */
+    _createRuleTester(container) {
+        let resultEl;
+
+        new Setting(container)
+            .setName('Test a tag')
+            .setDesc('See which rule styles a tag')
+            .addText(text => {
+                text.setPlaceholder('status/done')
+                    .onChange(value => this._updateRuleTestResult(resultEl, value));
+            });
+
+        resultEl = container.createDiv({ cls: CONSTANTS.CSS_CLASSES.RULE_TEST_RESULT });
+    }
+
+    /**
+     * Show which rule matches the tested tag, with its resulting badge
+     * @private
+     * @param {HTMLElement} resultEl - Result element
+     * @param {string} value - Tag entered by the user
+     */
+    _updateRuleTestResult(resultEl, value) {
+        resultEl.empty();
+
+        const tagName = value.trim().replace(/^#+/, '');
+        if (!tagName) return;
+
+        const configManager = this.plugin.configManager;
+        const rule = configManager.findMatchingRule(tagName);
+        const priority = this.plugin.settings.tagRules.indexOf(rule) + 1;
+
+        let message = rule
+            ? `Matches rule ${priority}: ${rule.type} "${rule.pattern}"`
+            : 'No rule matches';
+        if (this.plugin.settings.tagConfigs[tagName]) {
+            message += ` (#${tagName} has its own configuration, which takes precedence)`;
+        }
+        resultEl.createSpan({ text: message });
+
+        const config = configManager.getTagConfig(tagName);
+        const preview = resultEl.createSpan({ cls: CONSTANTS.CSS_CLASSES.BADGE });
+        this.plugin.badgeRenderer.applyStyle(preview, config);
+        this.plugin.badgeRenderer.renderContent(preview, config, tagName);
+    }
+
+    /**
+     * Create import and export section
+     * @private
+     * @param {HTMLElement} container - Container element
+     */
+    _createTransferSection(container) {
+        container.createEl('br');
+        container.createEl('b', { text: 'Import & Export' });
+
+        new Setting(container)
+            .setName('Export tag styles')
+            .setDesc('Save all or selected configurations as JSON or YAML, to a vault file or the clipboard')
+            .addButton(button => {
+                button.setButtonText('Export')
+                    .onClick(() => this.plugin.showExportModal());
+            });
+
+        new Setting(container)
+            .setName('Import tag styles')
+            .setDesc('Load configurations exported from this or another vault')
+            .addButton(button => {
+                button.setButtonText('From File')
+                    .onClick(() => this.plugin.importFromFile(() => this.display()));
+            })
+            .addButton(button => {
+                button.setButtonText('From Clipboard')
+                    .onClick(() => this.plugin.importFromClipboard(() => this.display()));
+            });
+    }
+
+    /**
+     * Show the configuration modal for a pattern rule
+     * @private
+     * @param {object} rule - Pattern rule
+     */
+    _showRuleModal(rule) {
+        new RuleConfigModal(this.app, this.plugin, rule, () => this.display()).open();
+    }
+
     /**
      * Show add tag modal
      * @private
@@ -1499,15 +7641,8 @@ class TagBadgesSettingTab extends PluginSettingTab {
                     return;
                 }
                 
-                // Create initial configuration
-                const initialConfig = {
-                    icon: CONSTANTS.DEFAULT_ICON,
-                    textColor: '#ffffff',
-                    backgroundColor: '#6b7280',
-                    alias: ''
-                };
-                
-                await this.plugin.configManager.saveTagConfig(tagName, initialConfig);
+                // Start with an empty configuration that inherits every property
+                await this.plugin.configManager.saveTagConfig(tagName, {});
                 this.display();
                 new Notice(`Added configuration for #${tagName}`);
             } catch (error) {